@@ -0,0 +1,162 @@
+// Route access levels.
+//
+// Every route declares one of:
+//   access.public        storefront calls; browsers must come from an allowed origin
+//   access.signed        webhooks that verify their own signature
+//   access.key(scope)    internal tools with an API key holding `scope`
+//   access.admin         API keys with the `admin` scope
+//
+// API keys come from configuration (see parseApiKeys) and are stored as
+// SHA-256 hashes, so a key is revoked by marking it revoked or deleting it.
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { ApiError } from './errors.js';
+
+export const ADMIN_SCOPE = 'admin';
+
+function hashKey(key) {
+  return createHash('sha256').update(String(key)).digest('hex');
+}
+
+function sameHash(a, b) {
+  const bufferA = Buffer.from(a, 'hex');
+  const bufferB = Buffer.from(b, 'hex');
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+// Parse the API_KEYS JSON list:
+//   [{ "id": "erp", "keyHash": "<sha256 hex>", "scopes": ["collections:read"], "stores": ["tilemart"], "revoked": false }]
+// `stores` is optional (default: every store). Throws with every problem in `details`.
+export function parseApiKeys(raw) {
+  if (!raw) return [];
+
+  let keys;
+  try {
+    keys = JSON.parse(raw);
+  } catch (error) {
+    const parseError = new Error('API_KEYS is not valid JSON');
+    parseError.details = [error.message];
+    throw parseError;
+  }
+
+  const problems = [];
+  if (!Array.isArray(keys)) {
+    problems.push('API_KEYS must be a JSON array');
+    keys = [];
+  }
+
+  const ids = new Set();
+  keys.forEach((key, index) => {
+    const at = `API_KEYS[${index}]`;
+    if (typeof key?.id !== 'string' || !key.id) problems.push(`${at}.id must be a non-empty string`);
+    else if (ids.has(key.id)) problems.push(`${at}.id "${key.id}" is used by an earlier key`);
+    else ids.add(key.id);
+    if (!/^[0-9a-f]{64}$/i.test(key?.keyHash || '')) problems.push(`${at}.keyHash must be a SHA-256 hex digest`);
+    if (!Array.isArray(key?.scopes) || key.scopes.some(scope => typeof scope !== 'string')) {
+      problems.push(`${at}.scopes must be a list of strings`);
+    }
+    if (key?.stores !== undefined && !Array.isArray(key.stores)) problems.push(`${at}.stores must be a list of store keys`);
+  });
+
+  if (problems.length > 0) {
+    const validationError = new Error('Invalid API_KEYS configuration');
+    validationError.details = problems;
+    throw validationError;
+  }
+
+  return keys.map(key => ({
+    id: key.id,
+    keyHash: key.keyHash.toLowerCase(),
+    scopes: key.scopes,
+    stores: key.stores || null,
+    revoked: key.revoked === true
+  }));
+}
+
+// A key entry for a plaintext secret such as ADMIN_API_KEY
+export function apiKeyFromSecret(id, secret, scopes) {
+  return { id, keyHash: hashKey(secret), scopes, stores: null, revoked: false };
+}
+
+export function createAccess({ keys = [], allowedOrigins = [] }) {
+  // The matching key for a bearer token, or null
+  function findKey(req) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return null;
+
+    const tokenHash = hashKey(token);
+    return keys.find(key => sameHash(key.keyHash, tokenHash)) || null;
+  }
+
+  // The valid, unrevoked key a request carries, without responding when there is none
+  function identify(req) {
+    const key = findKey(req);
+    return key && !key.revoked ? key : null;
+  }
+
+  function isAllowedOrigin(origin) {
+    return allowedOrigins.includes(origin);
+  }
+
+  // Authenticate the key and check it may be used here; throws an ApiError when not
+  function authenticate(req) {
+    if (!req.get('Authorization')) {
+      throw new ApiError('UNAUTHORIZED', 'An API key is required');
+    }
+
+    const key = findKey(req);
+    if (!key || key.revoked) {
+      throw new ApiError('UNAUTHORIZED', 'Invalid or revoked API key');
+    }
+    if (key.stores && req.store && !key.stores.includes(req.store.storeKey)) {
+      throw new ApiError('FORBIDDEN', `API key "${key.id}" cannot access store ${req.store.storeKey}`);
+    }
+
+    req.apiKey = { id: key.id, scopes: key.scopes };
+    return key;
+  }
+
+  function requireScope(scope) {
+    return (req, res, next) => {
+      try {
+        const key = authenticate(req);
+        if (!key.scopes.includes(scope) && !key.scopes.includes(ADMIN_SCOPE)) {
+          throw new ApiError('FORBIDDEN', `API key "${key.id}" lacks the ${scope} scope`);
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  // Requests without an Origin header (servers, curl) are allowed; browsers must
+  // come from an allowed origin unless they present a valid key
+  function publicAccess(req, res, next) {
+    const origin = req.get('Origin');
+    if (!origin || isAllowedOrigin(origin)) return next();
+
+    try {
+      if (!req.get('Authorization')) {
+        throw new ApiError('FORBIDDEN', `Origin ${origin} is not allowed`);
+      }
+      authenticate(req);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  function signedAccess(req, res, next) {
+    next();
+  }
+
+  return {
+    public: publicAccess,
+    signed: signedAccess,
+    key: requireScope,
+    admin: requireScope(ADMIN_SCOPE),
+    identify,
+    isAllowedOrigin
+  };
+}
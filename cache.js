@@ -0,0 +1,406 @@
+// Shared cache with stale-while-revalidate and single-flight refreshes.
+//
+// A driver stores JSON-serializable values with a TTL, keeps sets of keys
+// for tag-based invalidation and provides a simple lock primitive. Two
+// drivers ship here: an in-memory one for local/single
+// instance use and a Redis one that works with any ioredis-compatible client
+// (including the in-process fake below).
+
+export function createMemoryDriver() {
+  const entries = new Map();
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  return {
+    async get(key) {
+      return read(key);
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async addToSet(key, members, ttlMs) {
+      const set = read(key) || new Set();
+      members.forEach(member => set.add(member));
+      const current = entries.get(key);
+      entries.set(key, { value: set, expiresAt: Math.max(current?.expiresAt || 0, Date.now() + ttlMs) });
+    },
+    async getSet(key) {
+      return [...(read(key) || [])];
+    },
+    async acquireLock(key, ttlMs) {
+      if (read(key) !== undefined) return false;
+      entries.set(key, { value: true, expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+    async releaseLock(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+// `client` may be a client instance or a promise for one, so the Redis
+// connection can be created lazily
+export function createRedisDriver(client, { prefix = 'judgeme-proxy:' } = {}) {
+  const clientPromise = Promise.resolve(client);
+  // Connection failures surface on each operation instead of as an unhandled rejection
+  clientPromise.catch(() => {});
+
+  return {
+    async get(key) {
+      const raw = await (await clientPromise).get(prefix + key);
+      return raw === null ? undefined : JSON.parse(raw);
+    },
+    async set(key, value, ttlMs) {
+      await (await clientPromise).set(prefix + key, JSON.stringify(value), 'PX', Math.ceil(ttlMs));
+    },
+    async delete(key) {
+      await (await clientPromise).del(prefix + key);
+    },
+    async addToSet(key, members, ttlMs) {
+      const redis = await clientPromise;
+      await redis.sadd(prefix + key, ...members);
+      try {
+        // NX covers a freshly created set, GT only ever extends an existing expiry
+        await redis.pexpire(prefix + key, Math.ceil(ttlMs), 'NX');
+        await redis.pexpire(prefix + key, Math.ceil(ttlMs), 'GT');
+      } catch (error) {
+        // Redis < 7 has no GT flag; a slightly early tag expiry is acceptable there
+        await redis.pexpire(prefix + key, Math.ceil(ttlMs));
+      }
+    },
+    async getSet(key) {
+      return (await clientPromise).smembers(prefix + key);
+    },
+    async acquireLock(key, ttlMs) {
+      const result = await (await clientPromise).set(prefix + key, '1', 'PX', Math.ceil(ttlMs), 'NX');
+      return result === 'OK';
+    },
+    async releaseLock(key) {
+      await (await clientPromise).del(prefix + key);
+    }
+  };
+}
+
+// Minimal in-process stand-in for a Redis client, covering the commands the
+// Redis driver uses. Selected with CACHE_DRIVER=fake to run the Redis code
+// path locally, and used by the tests.
+export function createFakeRedisClient() {
+  const store = new Map();
+
+  function live(key) {
+    const entry = store.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      store.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  return {
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+    async set(key, value, ...args) {
+      let expiresAt = null;
+      let onlyIfMissing = false;
+      for (let i = 0; i < args.length; i++) {
+        const flag = String(args[i]).toUpperCase();
+        if (flag === 'PX') expiresAt = Date.now() + Number(args[++i]);
+        else if (flag === 'EX') expiresAt = Date.now() + Number(args[++i]) * 1000;
+        else if (flag === 'NX') onlyIfMissing = true;
+      }
+      if (onlyIfMissing && live(key)) return null;
+      store.set(key, { value: String(value), expiresAt });
+      return 'OK';
+    },
+    async del(...keys) {
+      return keys.filter(key => live(key) && store.delete(key)).length;
+    },
+    async sadd(key, ...members) {
+      const entry = live(key) || { value: new Set(), expiresAt: null };
+      const before = entry.value.size;
+      members.forEach(member => entry.value.add(String(member)));
+      store.set(key, entry);
+      return entry.value.size - before;
+    },
+    async smembers(key) {
+      return [...(live(key)?.value || [])];
+    },
+    async pexpire(key, ms, condition) {
+      const entry = live(key);
+      if (!entry) return 0;
+      const expiresAt = Date.now() + Number(ms);
+      // NX: only without an expiry; GT: only extend, where "no expiry" counts as infinite
+      if (condition === 'NX' && entry.expiresAt !== null) return 0;
+      if (condition === 'GT' && (entry.expiresAt === null || entry.expiresAt >= expiresAt)) return 0;
+      entry.expiresAt = expiresAt;
+      return 1;
+    },
+    async quit() {
+      return 'OK';
+    }
+  };
+}
+
+// Wrap a driver with stale-while-revalidate semantics.
+//
+// Entries are stored for `ttl + staleTtl`. While fresh they are served as-is;
+// once stale they are still served immediately while a background refresh
+// runs. Refreshes are single-flight: concurrent callers in this process share
+// one promise, and a driver lock keeps other instances from refreshing the
+// same key at the same time.
+//
+// Entries can be tagged (statically via `options.tags`, or by the loader
+// through its `tag()` argument) so related keys can be invalidated together.
+export function createCache({
+  driver,
+  lockTtl = 30 * 1000,
+  lockWait = 5 * 1000,
+  lockPollInterval = 100,
+  logger = console
+}) {
+  const inFlight = new Map();
+
+  // Driver failures (e.g. Redis unavailable) degrade to calling upstream
+  async function safely(operation, fallback) {
+    try {
+      return await operation();
+    } catch (error) {
+      logger.error('Cache driver error', { error: error.message });
+      return fallback;
+    }
+  }
+
+  async function readEntry(key) {
+    return safely(() => driver.get(key), undefined);
+  }
+
+  async function set(key, value, { ttl, staleTtl = 0, tags = [] }) {
+    const now = Date.now();
+    await safely(() => driver.set(key, { value, freshUntil: now + ttl, expiresAt: now + ttl + staleTtl }, ttl + staleTtl));
+    await Promise.all([...new Set(tags)].map(tag =>
+      safely(() => driver.addToSet(`tag:${tag}`, [key], ttl + staleTtl))
+    ));
+  }
+
+  async function get(key) {
+    return (await readEntry(key))?.value;
+  }
+
+  // Take the key's lock, polling for up to `lockWait` while someone else holds it
+  async function acquireLockWithin(lockKey) {
+    const deadline = Date.now() + lockWait;
+    for (;;) {
+      if (await safely(() => driver.acquireLock(lockKey, lockTtl), true)) return true;
+      if (Date.now() >= deadline) return false;
+      await new Promise(resolve => setTimeout(resolve, lockPollInterval));
+    }
+  }
+
+  // Change a cached value in place with `fn(value)`, keeping when it goes
+  // stale and expires, so pushed changes don't postpone the next refresh.
+  // Runs under the key's lock, or without it once the lock wait runs out (a
+  // long refresh may hold it). Resolves to the new value, or undefined when
+  // nothing is cached.
+  async function update(key, fn) {
+    const lockKey = `lock:${key}`;
+    const locked = await acquireLockWithin(lockKey);
+    try {
+      const entry = await readEntry(key);
+      if (!entry) return undefined;
+
+      const value = fn(entry.value);
+      const remaining = (entry.expiresAt ?? entry.freshUntil) - Date.now();
+      if (remaining > 0) {
+        await safely(() => driver.set(key, { ...entry, value }, remaining));
+      }
+      return value;
+    } finally {
+      if (locked) {
+        await safely(() => driver.releaseLock(lockKey));
+      }
+    }
+  }
+
+  async function del(key) {
+    await safely(() => driver.delete(key));
+  }
+
+  // Delete every entry carrying any of the tags; returns the keys removed
+  async function invalidateTags(tags) {
+    const keys = new Set();
+    for (const tag of new Set(tags)) {
+      const members = await safely(() => driver.getSet(`tag:${tag}`), []);
+      members.forEach(key => keys.add(key));
+      await del(`tag:${tag}`);
+    }
+    await Promise.all([...keys].map(key => del(key)));
+    return [...keys];
+  }
+
+  // Wait for another instance holding the lock to publish a fresh value
+  async function waitForFreshEntry(key) {
+    const deadline = Date.now() + lockWait;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, lockPollInterval));
+      const entry = await readEntry(key);
+      if (entry && entry.freshUntil > Date.now()) {
+        return entry;
+      }
+    }
+    return undefined;
+  }
+
+  async function load(key, options, loader, { background }) {
+    const lockKey = `lock:${key}`;
+    const locked = await safely(() => driver.acquireLock(lockKey, lockTtl), true);
+
+    if (!locked) {
+      // Someone else is already refreshing; a stale value is good enough meanwhile
+      if (background) return undefined;
+      const entry = await waitForFreshEntry(key);
+      if (entry) return entry.value;
+    }
+
+    try {
+      const tags = new Set(options.tags || []);
+      const value = await loader({ tag: (...newTags) => newTags.forEach(tag => tags.add(tag)) });
+      // Misses (null/undefined) are not cached so they are retried next time
+      if (value !== undefined && value !== null) {
+        await set(key, value, { ...options, tags: [...tags] });
+      }
+      return value;
+    } finally {
+      if (locked) {
+        await safely(() => driver.releaseLock(lockKey));
+      }
+    }
+  }
+
+  function singleFlight(key, run) {
+    if (!inFlight.has(key)) {
+      const promise = run().finally(() => inFlight.delete(key));
+      inFlight.set(key, promise);
+    }
+    return inFlight.get(key);
+  }
+
+  async function wrap(key, options, loader) {
+    const entry = await readEntry(key);
+
+    if (entry && entry.freshUntil > Date.now()) {
+      return entry.value;
+    }
+
+    if (entry) {
+      singleFlight(key, () => load(key, options, loader, { background: true }))
+        .catch(error => logger.error('Background refresh failed', { key, error: error.message }));
+      return entry.value;
+    }
+
+    return singleFlight(key, () => load(key, options, loader, { background: false }));
+  }
+
+  // Lock and load the keys nobody else is loading, in one `loader` call.
+  // Keys another instance has locked are skipped in the background and
+  // waited for otherwise. Resolves to a Map of the keys that have values.
+  async function loadBatch(keys, options, loader, { background }) {
+    const locks = await Promise.all(keys.map(key => safely(() => driver.acquireLock(`lock:${key}`, lockTtl), true)));
+    const values = new Map();
+    const toLoad = new Set();
+
+    await Promise.all(keys.map(async (key, index) => {
+      if (locks[index]) {
+        toLoad.add(key);
+      } else if (!background) {
+        const entry = await waitForFreshEntry(key);
+        if (entry) values.set(key, entry.value);
+        else toLoad.add(key);
+      }
+    }));
+
+    try {
+      if (toLoad.size > 0) {
+        const tags = new Map([...toLoad].map(key => [key, new Set(options.tags || [])]));
+        const loaded = await loader(keys.filter(key => toLoad.has(key)), {
+          tag: (key, ...newTags) => newTags.forEach(tag => tags.get(key)?.add(tag))
+        });
+        await Promise.all([...loaded]
+          .filter(([key, value]) => toLoad.has(key) && value !== undefined && value !== null)
+          .map(async ([key, value]) => {
+            values.set(key, value);
+            if (!(value instanceof Error)) {
+              await set(key, value, { ...options, tags: [...tags.get(key)] });
+            }
+          }));
+      }
+      return values;
+    } finally {
+      await Promise.all(keys
+        .filter((key, index) => locks[index])
+        .map(key => safely(() => driver.releaseLock(`lock:${key}`))));
+    }
+  }
+
+  // Each key joins a load already in flight for it, or one shared batch
+  async function loadMany(keys, options, loader, { background }) {
+    const ownKeys = keys.filter(key => !inFlight.has(key));
+    const batch = ownKeys.length > 0 ? loadBatch(ownKeys, options, loader, { background }) : null;
+
+    const values = new Map();
+    await Promise.all(keys.map(async (key) => {
+      const value = await singleFlight(key, () => batch.then(loaded => loaded.get(key)));
+      if (value !== undefined && value !== null) values.set(key, value);
+    }));
+    return values;
+  }
+
+  // wrap() for many keys at once, so misses can be fetched upstream in one
+  // batch. `loader(keys, { tag })` resolves to a Map of key -> value for the
+  // keys it found, and `tag(key, ...tags)` tags one key's entry. A key whose
+  // load failed may map to an Error, which is passed on uncached so one
+  // failure doesn't fail the rest. Resolves to a Map of the keys that have
+  // values (or errors).
+  async function wrapMany(keys, options, loader) {
+    const uniqueKeys = [...new Set(keys)];
+    const entries = await Promise.all(uniqueKeys.map(key => readEntry(key)));
+
+    const values = new Map();
+    const staleKeys = [];
+    const missingKeys = [];
+    uniqueKeys.forEach((key, index) => {
+      const entry = entries[index];
+      if (!entry) {
+        missingKeys.push(key);
+        return;
+      }
+      values.set(key, entry.value);
+      if (!(entry.freshUntil > Date.now())) staleKeys.push(key);
+    });
+
+    if (staleKeys.length > 0) {
+      loadMany(staleKeys, options, loader, { background: true })
+        .catch(error => logger.error('Background refresh failed', { keys: staleKeys.length, error: error.message }));
+    }
+
+    if (missingKeys.length > 0) {
+      const loaded = await loadMany(missingKeys, options, loader, { background: false });
+      loaded.forEach((value, key) => values.set(key, value));
+    }
+
+    return values;
+  }
+
+  return { get, set, update, delete: del, invalidateTags, wrap, wrapMany };
+}
@@ -0,0 +1,162 @@
+// Shipment tracking: carrier name normalization, tracking URLs and adapters
+// that fetch tracking events.
+//
+// An adapter is a plain object:
+//
+//   {
+//     id: 'stub',
+//     carriers: ['ups', 'fedex'],            // carrier ids it can track
+//     async track({ carrier, number }) {}   // -> [{ status, description, location, occurredAt }]
+//   }
+//
+// Event statuses are normalized to TRACKING_STATUSES; anything else an
+// adapter reports is dropped.
+
+import { createHash } from 'crypto';
+
+export const TRACKING_STATUSES = ['picked_up', 'in_transit', 'out_for_delivery', 'delivered'];
+
+// Parcel and LTL freight carriers, matched on lowercase names with punctuation removed
+export const CARRIERS = {
+  ups: {
+    name: 'UPS',
+    aliases: ['ups', 'united parcel service', 'ups freight'],
+    trackingUrl: 'https://www.ups.com/track?tracknum={number}'
+  },
+  fedex: {
+    name: 'FedEx',
+    aliases: ['fedex', 'federal express', 'fedex freight', 'fedex ground'],
+    trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr={number}'
+  },
+  usps: {
+    name: 'USPS',
+    aliases: ['usps', 'united states postal service', 'us postal service'],
+    trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={number}'
+  },
+  dhl: {
+    name: 'DHL',
+    aliases: ['dhl', 'dhl express'],
+    trackingUrl: 'https://www.dhl.com/en/express/tracking.html?AWB={number}'
+  },
+  'canada-post': {
+    name: 'Canada Post',
+    aliases: ['canada post', 'postes canada'],
+    trackingUrl: 'https://www.canadapost-postescanada.ca/track-reperage/en#/search?searchFor={number}'
+  },
+  purolator: {
+    name: 'Purolator',
+    aliases: ['purolator'],
+    trackingUrl: 'https://www.purolator.com/en/shipping/tracker?pins={number}'
+  },
+  estes: {
+    name: 'Estes',
+    aliases: ['estes', 'estes express', 'estes express lines'],
+    trackingUrl: 'https://www.estes-express.com/myestes/shipment-tracking/?query={number}'
+  },
+  'old-dominion': {
+    name: 'Old Dominion',
+    aliases: ['old dominion', 'odfl', 'old dominion freight line'],
+    trackingUrl: 'https://www.odfl.com/us/en/tools/trace-track-ltl-freight/trace.html?proNumbers={number}'
+  },
+  xpo: {
+    name: 'XPO',
+    aliases: ['xpo', 'xpo logistics'],
+    trackingUrl: 'https://track.xpo.com/ltl/order/{number}'
+  },
+  saia: {
+    name: 'Saia',
+    aliases: ['saia', 'saia ltl freight'],
+    trackingUrl: 'https://www.saia.com/track/details;pro={number}'
+  },
+  'rl-carriers': {
+    name: 'R+L Carriers',
+    aliases: ['r l carriers', 'rl carriers', 'r and l carriers'],
+    trackingUrl: 'https://www.rlcarriers.com/freight/shipping/shipment-tracing?pro={number}'
+  }
+};
+
+function simplifyCarrierName(rawName) {
+  return String(rawName || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// { id, name } for a carrier name as typed into Shopify, or null when unrecognized
+export function normalizeCarrier(rawName) {
+  const simplified = simplifyCarrierName(rawName);
+  if (!simplified) return null;
+
+  for (const [id, carrier] of Object.entries(CARRIERS)) {
+    if (id === simplified.replace(/ /g, '-') || carrier.aliases.includes(simplified)) {
+      return { id, name: carrier.name };
+    }
+  }
+  return null;
+}
+
+export function carrierTrackingUrl(carrierId, number) {
+  const template = CARRIERS[carrierId]?.trackingUrl;
+  return template && number ? template.replace('{number}', encodeURIComponent(number)) : null;
+}
+
+// Keep well-formed events with a known status, oldest first
+function normalizeTrackingEvents(events) {
+  return (Array.isArray(events) ? events : [])
+    .filter(event => event && TRACKING_STATUSES.includes(event.status))
+    .map(event => ({
+      status: event.status,
+      description: event.description || null,
+      location: event.location || null,
+      occurredAt: event.occurredAt ? new Date(event.occurredAt).toISOString() : null
+    }))
+    .sort((a, b) => (a.occurredAt || '').localeCompare(b.occurredAt || ''));
+}
+
+// Fake carrier for local development and tests. Each tracking number gets a
+// fixed, made-up progress derived from a hash of the number.
+export function createStubCarrierAdapter({ carriers = Object.keys(CARRIERS), now = () => Date.now() } = {}) {
+  const descriptions = {
+    picked_up: 'Picked up by carrier',
+    in_transit: 'In transit to destination terminal',
+    out_for_delivery: 'Out for delivery',
+    delivered: 'Delivered'
+  };
+
+  return {
+    id: 'stub',
+    carriers,
+    async track({ number }) {
+      const stage = createHash('sha1').update(String(number)).digest()[0] % TRACKING_STATUSES.length;
+      const hour = 60 * 60 * 1000;
+      return TRACKING_STATUSES.slice(0, stage + 1).map((status, index) => ({
+        status,
+        description: descriptions[status],
+        location: status === 'delivered' || status === 'out_for_delivery' ? 'Destination' : 'Origin terminal',
+        occurredAt: new Date(now() - (stage - index + 1) * 24 * hour).toISOString()
+      }));
+    }
+  };
+}
+
+// Route tracking lookups to the first adapter that handles the carrier.
+// Adapter failures are logged and reported as "no events" rather than thrown.
+export function createTrackingService({ adapters = [], logger = console } = {}) {
+  function adapterFor(carrierId) {
+    return adapters.find(adapter => adapter.carriers.includes(carrierId));
+  }
+
+  async function track({ carrier, number }) {
+    const adapter = carrier && number ? adapterFor(carrier) : undefined;
+    if (!adapter) return null;
+
+    try {
+      return normalizeTrackingEvents(await adapter.track({ carrier, number }));
+    } catch (error) {
+      logger.error('Tracking adapter failed', { adapter: adapter.id, carrier, error: error.message });
+      return null;
+    }
+  }
+
+  return { track, supports: carrierId => !!adapterFor(carrierId) };
+}
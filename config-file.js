@@ -0,0 +1,26 @@
+// JSON config files read at startup (stock rules, facets, translations).
+
+import { readFileSync } from 'fs';
+
+// Read and parse a JSON file, then check it with `validate(config)`, which
+// returns a list of problems (empty when valid). Throws with every problem
+// listed in `details`; `name` describes the file in the error message.
+export function loadJsonConfig(path, { name, validate = () => [] }) {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    const loadError = new Error(`Could not read ${name} from ${path}`);
+    loadError.details = [error.message];
+    throw loadError;
+  }
+
+  const problems = validate(config);
+  if (problems.length > 0) {
+    const validationError = new Error(`Invalid ${name} in ${path}`);
+    validationError.details = problems;
+    throw validationError;
+  }
+
+  return config;
+}
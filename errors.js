@@ -0,0 +1,125 @@
+// Shared error type and the single error envelope every route responds with:
+//
+//   { "error": { "code": "NOT_FOUND", "message": "...", "details": ..., "requestId": "..." } }
+//
+// `debug` (stack, upstream responses, configuration hints) is only added for
+// requests that may see it; see createErrorHandler.
+
+// Error codes and the HTTP status each maps to
+export const ERROR_CODES = {
+  VALIDATION_FAILED: 400,
+  UNKNOWN_STORE: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  PAYLOAD_TOO_LARGE: 413,
+  UNPROCESSABLE: 422,
+  RATE_LIMITED: 429,
+  INTERNAL_ERROR: 500,
+  NOT_CONFIGURED: 500,
+  UPSTREAM_ERROR: 502,
+  UPSTREAM_UNAVAILABLE: 503,
+  UPSTREAM_TIMEOUT: 504
+};
+
+export class ApiError extends Error {
+  constructor(code, message, { statusCode, details, debug, headers, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ApiError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    this.statusCode = statusCode || ERROR_CODES[this.code];
+    this.details = details;
+    this.debug = debug;
+    this.headers = headers;
+  }
+}
+
+// Map an upstream failure to our own error. Upstream auth failures are our
+// misconfiguration, so they surface as 502 rather than the caller's 401/403.
+export function upstreamError(service, { status, timedOut = false, message, debug, retryAfter } = {}) {
+  const debugInfo = { upstream: service, status, message, ...debug };
+
+  if (timedOut) {
+    return new ApiError('UPSTREAM_TIMEOUT', `${service} did not respond in time`, { debug: debugInfo });
+  }
+  if (status === 404) {
+    return new ApiError('NOT_FOUND', `${service} resource not found`, { debug: debugInfo });
+  }
+  if (status === 429 || status === 503) {
+    return new ApiError('UPSTREAM_UNAVAILABLE', `${service} is temporarily unavailable, try again shortly`, {
+      debug: debugInfo,
+      headers: retryAfter ? { 'Retry-After': String(retryAfter) } : undefined
+    });
+  }
+  return new ApiError('UPSTREAM_ERROR', `${service} request failed`, { debug: debugInfo });
+}
+
+// Axios errors (Judge.me) to upstream errors
+export function fromAxiosError(service, error) {
+  return upstreamError(service, {
+    status: error.response?.status,
+    timedOut: error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT',
+    message: error.message,
+    retryAfter: error.response?.headers?.['retry-after']
+  });
+}
+
+// Anything thrown or passed to next() -> ApiError
+export function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  // body-parser
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError('VALIDATION_FAILED', 'Request body is not valid JSON', { cause: error });
+  }
+  if (error.type === 'entity.too.large') {
+    return new ApiError('PAYLOAD_TOO_LARGE', 'Request body is too large', { cause: error });
+  }
+  if (error.isAxiosError) {
+    return fromAxiosError('upstream', error);
+  }
+
+  return new ApiError('INTERNAL_ERROR', 'Internal server error', {
+    debug: { message: error.message },
+    cause: error
+  });
+}
+
+function debugInfo(error) {
+  return {
+    ...error.debug,
+    stack: error.stack,
+    ...(error.cause ? { cause: { message: error.cause.message, stack: error.cause.stack } } : {})
+  };
+}
+
+// Express error handler. `logger(req)` gives the request's logger and
+// `canDebug(req)` decides whether the response may include debug details.
+export function createErrorHandler({ logger, canDebug }) {
+  // Express recognizes error handlers by their four parameters
+  return (error, req, res, next) => {
+    const apiError = toApiError(error);
+    const log = logger(req);
+
+    if (apiError.statusCode >= 500) {
+      log.error(apiError.message, { code: apiError.code, error: apiError.cause || apiError, debug: apiError.debug });
+    } else {
+      log.warn(apiError.message, { code: apiError.code, status: apiError.statusCode });
+    }
+
+    if (res.headersSent) {
+      return req.socket.destroy();
+    }
+
+    Object.entries(apiError.headers || {}).forEach(([name, value]) => res.set(name, value));
+    res.status(apiError.statusCode).json({
+      error: {
+        code: apiError.code,
+        message: apiError.message,
+        ...(apiError.details !== undefined ? { details: apiError.details } : {}),
+        requestId: res.get('X-Request-Id'),
+        ...(canDebug(req) ? { debug: debugInfo(apiError) } : {})
+      }
+    });
+  };
+}
@@ -0,0 +1,140 @@
+// Tile finder facets driven by a config file (facets.json by default).
+//
+// Each facet takes its values from a product metafield or from product tags
+// carrying a prefix:
+//
+//   { "id": "material", "label": "Material", "metafield": { "namespace": "primary", "key": "material" } }
+//   { "id": "color", "label": "Color", "tagPrefix": "color:" }
+//
+// List metafields (JSON arrays) and repeated tags give a product several
+// values. Selections are matched case-insensitively: any selected value within
+// a facet, every facet with a selection.
+
+import { loadJsonConfig } from './config-file.js';
+
+// Query parameters the facets route uses itself, so no facet may take them
+export const RESERVED_FACET_IDS = ['limit', 'offset'];
+
+const FACET_ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+// Namespaces and keys go into GraphQL queries as literals
+const METAFIELD_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Check a parsed facet config, returning a list of problems (empty when valid)
+export function validateFacetConfig(config) {
+  if (!config || typeof config !== 'object' || !Array.isArray(config.facets)) {
+    return ['facets config must be an object with a facets array'];
+  }
+
+  const problems = [];
+  const ids = new Set();
+  config.facets.forEach((facet, index) => {
+    const at = `facets[${index}]`;
+    if (!facet || typeof facet !== 'object') {
+      problems.push(`${at} must be an object`);
+      return;
+    }
+    if (!FACET_ID_PATTERN.test(facet.id || '')) {
+      problems.push(`${at}.id must be lowercase letters, digits and underscores`);
+    } else if (RESERVED_FACET_IDS.includes(facet.id)) {
+      problems.push(`${at}.id "${facet.id}" is reserved`);
+    } else if (ids.has(facet.id)) {
+      problems.push(`${at}.id "${facet.id}" is used by an earlier facet`);
+    } else {
+      ids.add(facet.id);
+    }
+    if (typeof facet.label !== 'string' || !facet.label) {
+      problems.push(`${at}.label must be a non-empty string`);
+    }
+
+    if ((facet.metafield === undefined) === (facet.tagPrefix === undefined)) {
+      problems.push(`${at} needs exactly one of metafield or tagPrefix`);
+    } else if (facet.metafield !== undefined) {
+      if (!METAFIELD_NAME_PATTERN.test(facet.metafield?.namespace || '') || !METAFIELD_NAME_PATTERN.test(facet.metafield?.key || '')) {
+        problems.push(`${at}.metafield must have a namespace and key made of letters, digits, _ and -`);
+      }
+    } else if (typeof facet.tagPrefix !== 'string' || !facet.tagPrefix) {
+      problems.push(`${at}.tagPrefix must be a non-empty string`);
+    }
+  });
+
+  return problems;
+}
+
+// Read and validate a facets file; throws with every problem listed in `details`
+export function loadFacetConfig(path) {
+  return loadJsonConfig(path, { name: 'facets', validate: validateFacetConfig });
+}
+
+// Values of a metafield: each item of a list metafield (JSON array), or the
+// trimmed text. Objects in a list are skipped.
+export function metafieldValues(value) {
+  if (typeof value !== 'string' || !value.trim()) return [];
+  if (value.trim().startsWith('[')) {
+    try {
+      const list = JSON.parse(value);
+      if (Array.isArray(list)) {
+        return list
+          .filter(item => item !== null && typeof item !== 'object')
+          .map(item => String(item).trim())
+          .filter(Boolean);
+      }
+    } catch (error) {
+      // Not a list metafield after all; use the raw text
+    }
+  }
+  return [value.trim()];
+}
+
+// { facetId: [values] } for a product given its tags and its facet metafield
+// values keyed by facet id
+export function productFacetValues(config, { tags = [], metafields = {} }) {
+  return Object.fromEntries(config.facets.map(facet => {
+    const values = facet.metafield
+      ? metafieldValues(metafields[facet.id])
+      : tags
+        .filter(tag => tag.toLowerCase().startsWith(facet.tagPrefix.toLowerCase()))
+        .map(tag => tag.slice(facet.tagPrefix.length).trim())
+        .filter(Boolean);
+    return [facet.id, [...new Set(values)]];
+  }));
+}
+
+function matchesSelections(product, selections, skipFacetId = null) {
+  return Object.entries(selections).every(([facetId, selected]) => {
+    if (facetId === skipFacetId || selected.length === 0) return true;
+    const values = (product.facets[facetId] || []).map(value => value.toLowerCase());
+    return selected.some(value => values.includes(value.toLowerCase()));
+  });
+}
+
+// Facet values with counts, and the products matching `selections`
+// ({ facetId: [values] }). A facet's counts respect the selections on every
+// other facet but not its own, so picking one value doesn't hide its siblings.
+export function searchFacets(config, products, selections) {
+  const facets = config.facets.map(facet => {
+    const counts = new Map();
+    for (const product of products) {
+      if (!matchesSelections(product, selections, facet.id)) continue;
+      for (const value of product.facets[facet.id] || []) {
+        const key = value.toLowerCase();
+        const entry = counts.get(key) || { value, count: 0 };
+        entry.count += 1;
+        counts.set(key, entry);
+      }
+    }
+
+    const selected = (selections[facet.id] || []).map(value => value.toLowerCase());
+    return {
+      id: facet.id,
+      label: facet.label,
+      values: [...counts.values()]
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+        .map(entry => ({ ...entry, selected: selected.includes(entry.value.toLowerCase()) }))
+    };
+  });
+
+  return {
+    facets,
+    products: products.filter(product => matchesSelections(product, selections))
+  };
+}
@@ -0,0 +1,65 @@
+// Translations and price formatting.
+//
+// Each locales/<language>.json file holds unit labels keyed by sell unit and
+// stock notice text keyed by stock rule id. Lookups fall back from a regional
+// locale ("fr-CA") to its language ("fr") and then to the default locale.
+
+import { readdirSync } from 'fs';
+import { join } from 'path';
+import { loadJsonConfig } from './config-file.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+// Read every <locale>.json file in a directory; throws with the problem in `details`
+export function loadTranslations(directory) {
+  const translations = {};
+  for (const file of readdirSync(directory)) {
+    if (!file.endsWith('.json')) continue;
+    const locale = file.slice(0, -'.json'.length).toLowerCase();
+    const { units = {}, stockNotices = {} } = loadJsonConfig(join(directory, file), { name: 'translations' }) || {};
+    translations[locale] = { units, stockNotices };
+  }
+
+  if (!translations[DEFAULT_LOCALE]) {
+    throw new Error(`Missing translations for the default locale "${DEFAULT_LOCALE}"`);
+  }
+  return translations;
+}
+
+// Canonical BCP 47 tag for a requested locale, or null when it isn't one
+export function parseLocale(rawLocale) {
+  try {
+    return Intl.getCanonicalLocales(String(rawLocale).replace(/_/g, '-'))[0] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Translation locales to try for a locale tag, most specific first
+function localeChain(translations, locale) {
+  const candidates = [locale.toLowerCase(), locale.split('-')[0].toLowerCase(), DEFAULT_LOCALE];
+  return [...new Set(candidates)].filter(candidate => translations[candidate]);
+}
+
+export function translateUnit(translations, locale, sellUnit) {
+  for (const candidate of localeChain(translations, locale)) {
+    const label = translations[candidate].units[sellUnit];
+    if (label) return { ...label };
+  }
+  return { singular: '', plural: '' };
+}
+
+// Stock notice text by rule id, merged across the fallback chain
+export function stockNoticeMessages(translations, locale) {
+  return localeChain(translations, locale)
+    .reverse()
+    .reduce((messages, candidate) => ({ ...messages, ...translations[candidate].stockNotices }), {});
+}
+
+export function formatMoney(amount, currency, locale) {
+  const value = Number(amount);
+  if (amount === null || amount === undefined || !Number.isFinite(value) || !currency) {
+    return null;
+  }
+  return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value);
+}
@@ -3,21 +3,79 @@ import express from 'express';
 import axios from 'axios';
 import { createGraphQLClient } from '@shopify/graphql-client';
 import cors from 'cors';
+import { createHash, createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import { fileURLToPath } from 'url';
+import { createCache, createFakeRedisClient, createMemoryDriver, createRedisDriver } from './cache.js';
+import { UOMS, convertSellUnit, pricePerSqFt, pricePerUom, toImperial } from './uom.js';
+import { evaluateStockRules, loadStockRules, validateStockRules } from './stock-rules.js';
+import { loadFacetConfig, metafieldValues, productFacetValues, searchFacets } from './facets.js';
+import { createSearchIndex } from './search.js';
+import { applyReviewChange, carryOverReviewChanges, syncReviewSet, toReviewRecord } from './reviews.js';
+import { ADMIN_SCOPE, apiKeyFromSecret, createAccess, parseApiKeys } from './auth.js';
+import { ApiError, createErrorHandler, fromAxiosError, upstreamError } from './errors.js';
+import { createLogger, currentRequestContext, runWithRequestContext, timeUpstream } from './logger.js';
+import { createRateLimitMiddleware, createShopifyThrottle, createTokenBucketLimiter } from './rate-limit.js';
+import { carrierTrackingUrl, createStubCarrierAdapter, createTrackingService, normalizeCarrier } from './carriers.js';
+import { boolean, commaList, cursor, date, handle, integer, list, number, object, oneOf, optional, string, validate } from './validation.js';
+import { DEFAULT_LOCALE, formatMoney, loadTranslations, parseLocale, stockNoticeMessages, translateUnit } from './i18n.js';
 
 const app = express();
+// Behind Vercel's proxy; TRUST_PROXY sets how many proxy hops to trust for req.ip
+app.set('trust proxy', Number(process.env.TRUST_PROXY ?? 1));
 const PORT = process.env.PORT || 3000;
 
+const logger = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+
+// The logger for the request being handled (it carries the request ID), or the root logger
+function getLogger() {
+  return currentRequestContext()?.logger || logger;
+}
+
+// For modules that take a logger once but should log with the current request's ID
+const contextLogger = {
+  debug: (msg, fields) => getLogger().debug(msg, fields),
+  info: (msg, fields) => getLogger().info(msg, fields),
+  warn: (msg, fields) => getLogger().warn(msg, fields),
+  error: (msg, fields) => getLogger().error(msg, fields)
+};
+
+// Headers passing the current request ID on to upstream APIs
+function requestIdHeaders() {
+  const context = currentRequestContext();
+  return context ? { 'X-Request-Id': context.requestId } : {};
+}
+
 // Environment variables
-const JUDGE_ME_API_TOKEN = process.env.JUDGE_ME_API_TOKEN;
-const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
-const SHOP_URL = 'mytilemart.myshopify.com';
+const DEFAULT_STORE = 'tilemart';
+
+// Shopify and Judge.me credentials per storefront
+const STORES = {
+  tilemart: {
+    shopDomain: process.env.TILEMART_SHOP_DOMAIN || 'mytilemart.myshopify.com',
+    shopifyAccessToken: process.env.TILEMART_SHOPIFY_ACCESS_TOKEN || process.env.SHOPIFY_ACCESS_TOKEN,
+    apiVersion: process.env.TILEMART_SHOPIFY_API_VERSION || '2024-01',
+    judgeMeApiToken: process.env.TILEMART_JUDGE_ME_API_TOKEN || process.env.JUDGE_ME_API_TOKEN,
+    judgeMeWebhookSecret: process.env.TILEMART_JUDGE_ME_WEBHOOK_SECRET || process.env.JUDGE_ME_WEBHOOK_SECRET,
+    shopifyWebhookSecret: process.env.TILEMART_SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_WEBHOOK_SECRET,
+    orderLinkSecret: process.env.TILEMART_ORDER_LINK_SECRET || process.env.ORDER_LINK_SECRET
+  },
+  elittile: {
+    shopDomain: process.env.ELITTILE_SHOP_DOMAIN,
+    shopifyAccessToken: process.env.ELITTILE_SHOPIFY_ACCESS_TOKEN,
+    apiVersion: process.env.ELITTILE_SHOPIFY_API_VERSION || '2024-01',
+    judgeMeApiToken: process.env.ELITTILE_JUDGE_ME_API_TOKEN,
+    judgeMeWebhookSecret: process.env.ELITTILE_JUDGE_ME_WEBHOOK_SECRET,
+    shopifyWebhookSecret: process.env.ELITTILE_SHOPIFY_WEBHOOK_SECRET,
+    orderLinkSecret: process.env.ELITTILE_ORDER_LINK_SECRET
+  }
+};
 
 const INSTAGRAM_STORES = {
   tilemart: process.env.TILEMART_INSTAGRAM_ACCESS_TOKEN || process.env.INSTAGRAM_ACCESS_TOKEN,
   elittile: process.env.ELITTILE_INSTAGRAM_ACCESS_TOKEN
 };
 
-function normalizeInstagramStore(rawStore) {
+function normalizeStoreKey(rawStore) {
   return String(rawStore)
     .trim()
     .toLowerCase()
@@ -25,64 +83,286 @@ function normalizeInstagramStore(rawStore) {
 }
 
 function getInstagramStore(storeKey) {
-  const normalizedStoreKey = normalizeInstagramStore(storeKey);
+  const normalizedStoreKey = normalizeStoreKey(storeKey);
   const accessToken = INSTAGRAM_STORES[normalizedStoreKey];
 
   if (!Object.prototype.hasOwnProperty.call(INSTAGRAM_STORES, normalizedStoreKey)) {
-    const error = new Error(`Unknown Instagram store: ${normalizedStoreKey}`);
-    error.statusCode = 400;
-    error.details = {
-      requestedStore: normalizedStoreKey,
-      availableStores: Object.keys(INSTAGRAM_STORES)
-    };
-    throw error;
+    throw new ApiError('UNKNOWN_STORE', `Unknown Instagram store: ${normalizedStoreKey}`, {
+      details: {
+        requestedStore: normalizedStoreKey,
+        availableStores: Object.keys(INSTAGRAM_STORES)
+      }
+    });
   }
 
   if (!accessToken) {
-    const error = new Error(`Instagram credentials are not configured for store: ${normalizedStoreKey}`);
-    error.statusCode = 500;
-    error.details = {
-      requestedStore: normalizedStoreKey,
-      missingEnv: `${normalizedStoreKey.toUpperCase()}_INSTAGRAM_ACCESS_TOKEN`
-    };
-    throw error;
+    throw new ApiError('NOT_CONFIGURED', `Instagram is not configured for store: ${normalizedStoreKey}`, {
+      details: { requestedStore: normalizedStoreKey },
+      debug: { missingEnv: `${normalizedStoreKey.toUpperCase()}_INSTAGRAM_ACCESS_TOKEN` }
+    });
   }
 
   return { storeKey: normalizedStoreKey, accessToken };
 }
 
-// Initialize Shopify GraphQL client
-const client = createGraphQLClient({
-  url: `https://${SHOP_URL}/admin/api/2024-01/graphql.json`,
-  headers: {
-    'Content-Type': 'application/json',
-    'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-  },
-  fetchApi: fetch,
-  onRequestError: ({ error }) => {
-    console.error('GraphQL request error:', {
-      message: error.message,
-      status: error.networkStatusCode,
-      response: error.response
+// A store's configuration by key. Credentials aren't checked here, since each
+// route needs a different upstream; see requireShopify and requireJudgeMe.
+function getStore(storeKey) {
+  const normalizedStoreKey = normalizeStoreKey(storeKey);
+
+  if (!Object.prototype.hasOwnProperty.call(STORES, normalizedStoreKey)) {
+    throw new ApiError('UNKNOWN_STORE', `Unknown store: ${normalizedStoreKey}`, {
+      details: {
+        requestedStore: normalizedStoreKey,
+        availableStores: Object.keys(STORES)
+      }
     });
   }
-});
 
-// Allow CORS from specific origin
+  return { storeKey: normalizedStoreKey, ...STORES[normalizedStoreKey] };
+}
+
+// Fail with NOT_CONFIGURED naming the missing env variables when any of
+// `settings` ({ configKey: envSuffix }) is unset for the store
+function requireStoreConfig(store, service, settings) {
+  const missingEnv = Object.entries(settings)
+    .filter(([configKey]) => !store[configKey])
+    .map(([, envSuffix]) => `${store.storeKey.toUpperCase()}_${envSuffix}`);
+
+  if (missingEnv.length > 0) {
+    throw new ApiError('NOT_CONFIGURED', `${service} is not configured for store: ${store.storeKey}`, {
+      details: { requestedStore: store.storeKey },
+      debug: { missingEnv }
+    });
+  }
+}
+
+function requireShopify(store) {
+  requireStoreConfig(store, 'Shopify', {
+    shopDomain: 'SHOP_DOMAIN',
+    shopifyAccessToken: 'SHOPIFY_ACCESS_TOKEN'
+  });
+}
+
+// Judge.me identifies the shop by its Shopify domain
+function requireJudgeMe(store) {
+  requireStoreConfig(store, 'Judge.me', {
+    shopDomain: 'SHOP_DOMAIN',
+    judgeMeApiToken: 'JUDGE_ME_API_TOKEN'
+  });
+}
+
+function getShopifyAdminUrl(store, path) {
+  return `https://${store.shopDomain}/admin/api/${store.apiVersion}/${path}`;
+}
+
+// Quote a value for Shopify search syntax so it can't add terms or operators
+function shopifySearchValue(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+// One aliased productByHandle lookup per handle, with handles passed as variables:
+//   query Name($handle0: String!, ...) { product0: productByHandle(handle: $handle0) { ...fields } ... }
+// Unlike products(query:) search this only ever matches the exact handle.
+// `variables` declares extra variables and `extra` adds selections (e.g. shop).
+function productsByHandleQuery(name, handles, fields, { variables = [], extra = '' } = {}) {
+  const definitions = handles.map((handle, index) => `$handle${index}: String!`);
+  const selections = handles.map((handle, index) => `
+    product${index}: productByHandle(handle: $handle${index}) {
+      ${fields}
+    }`);
+
+  return {
+    query: `
+  query ${name}(${[...definitions, ...variables].join(', ')}) {
+    ${extra}${selections.join('')}
+  }
+`,
+    variables: Object.fromEntries(handles.map((handle, index) => [`handle${index}`, handle]))
+  };
+}
+
+// The products from a productsByHandleQuery response, in `handles` order; null where missing
+function productsFromHandleQuery(data, handles) {
+  return handles.map((handle, index) => data?.[`product${index}`] || null);
+}
+
+function graphQLOperationName(query) {
+  return query.match(/\b(?:query|mutation)\s+(\w+)/)?.[1] || 'anonymous';
+}
+
+const UPSTREAM_TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS) || 10 * 1000;
+
+// Time each Shopify GraphQL call and pass the request ID along
+function withShopifyLogging(store, client) {
+  return {
+    request: (query, options = {}) => timeUpstream(
+      getLogger(),
+      'shopify',
+      graphQLOperationName(query),
+      () => client.request(query, {
+        ...options,
+        headers: { ...options.headers, ...requestIdHeaders() },
+        signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS)
+      }),
+      response => ({
+        store: store.storeKey,
+        graphQLErrors: response.errors ? response.errors.message : undefined,
+        queryCost: response.extensions?.cost?.actualQueryCost,
+        budgetAvailable: response.extensions?.cost?.throttleStatus?.currentlyAvailable
+      })
+    )
+  };
+}
+
+// fetch() with a timeout; network failures and timeouts become upstream errors
+async function fetchUpstream(service, url, options = {}) {
+  try {
+    return await fetch(url, { ...options, signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS) });
+  } catch (error) {
+    throw upstreamError(service, { timedOut: error.name === 'TimeoutError', message: error.message });
+  }
+}
+
+// The client reports failures in `response.errors` instead of throwing. A
+// response without any data becomes an upstream error; partial data is
+// returned so callers can use what came back.
+function withShopifyErrors(client) {
+  return {
+    ...client,
+    request: async (query, options) => {
+      const response = await client.request(query, options);
+      if (response.errors && !response.data) {
+        throw upstreamError('Shopify', {
+          status: response.errors.networkStatusCode,
+          timedOut: /timeout|aborted/i.test(response.errors.message || ''),
+          message: response.errors.message,
+          debug: {
+            operation: graphQLOperationName(query),
+            graphQLErrors: response.errors.graphQLErrors
+          }
+        });
+      }
+      return response;
+    }
+  };
+}
+
+// One Shopify GraphQL client per store, created on first use. Requests are
+// paced against the shop's query cost budget.
+const shopifyClients = new Map();
+
+function getShopifyClient(store) {
+  requireShopify(store);
+  if (!shopifyClients.has(store.storeKey)) {
+    shopifyClients.set(store.storeKey, withShopifyErrors(createShopifyThrottle(withShopifyLogging(store, createGraphQLClient({
+      url: getShopifyAdminUrl(store, 'graphql.json'),
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': store.shopifyAccessToken,
+      },
+      fetchApi: fetch,
+      onRequestError: ({ error }) => {
+        getLogger().error('GraphQL request error', {
+          store: store.storeKey,
+          message: error.message,
+          status: error.networkStatusCode,
+          response: error.response
+        });
+      }
+    })), { logger: contextLogger })));
+  }
+
+  return shopifyClients.get(store.storeKey);
+}
+
+// Storefront origins allowed to call public routes from a browser; more can be
+// added with ALLOWED_ORIGINS (comma separated)
 const allowedOrigins = [
   'https://tilemart.com',
   'http://127.0.0.1:9292', 
   'http://localhost:9292',
   'https://judgeme-proxy.vercel.app',
   'http://localhost:3000',
-  'http://localhost:3001'
+  'http://localhost:3001',
+  ...(process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
 ];
 
+// Configuration read at startup. Anything broken stops the server rather
+// than running with part of its configuration missing.
+function readConfigOrExit(load) {
+  try {
+    return load();
+  } catch (error) {
+    logger.error(error.message, { problems: error.details || [] });
+    process.exit(1);
+  }
+}
+
+// API keys for internal tools (API_KEYS), plus ADMIN_API_KEY as an admin key
+function loadApiKeys() {
+  return [
+    ...parseApiKeys(process.env.API_KEYS),
+    ...(process.env.ADMIN_API_KEY ? [apiKeyFromSecret('admin-env', process.env.ADMIN_API_KEY, [ADMIN_SCOPE])] : [])
+  ];
+}
+
+const access = createAccess({ keys: readConfigOrExit(loadApiKeys), allowedOrigins });
+
+// Client rate limits: one token bucket per API key, or per IP for everyone
+// else. RATE_LIMIT_<IP|KEY>_<BURST|PER_SECOND> tune the buckets.
+function rateLimitSetting(name, fallback) {
+  return Number(process.env[`RATE_LIMIT_${name}`] || fallback);
+}
+
+const rateLimiters = {
+  ip: createTokenBucketLimiter({
+    burst: rateLimitSetting('IP_BURST', 60),
+    perSecond: rateLimitSetting('IP_PER_SECOND', 1)
+  }),
+  key: createTokenBucketLimiter({
+    burst: rateLimitSetting('KEY_BURST', 300),
+    perSecond: rateLimitSetting('KEY_PER_SECOND', 5)
+  })
+};
+
+const rateLimit = createRateLimitMiddleware({
+  clientFor: (req) => {
+    const key = req.apiKey || access.identify(req);
+    return key
+      ? { key: `key:${key.id}`, limiter: rateLimiters.key }
+      : { key: `ip:${req.ip}`, limiter: rateLimiters.ip };
+  }
+});
+
+// Give every request an ID (a caller's X-Request-Id is kept when sane), echo
+// it back, and log one line per request once the response is sent
+app.use((req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  const requestId = incomingId && /^[\w.-]{1,128}$/.test(incomingId) ? incomingId : randomUUID();
+  const requestLogger = logger.child({ requestId });
+  const startedAt = process.hrtime.bigint();
+
+  res.set('X-Request-Id', requestId);
+  res.on('finish', () => {
+    requestLogger.info('Request completed', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n),
+      store: req.store?.storeKey,
+      apiKey: req.apiKey?.id
+    });
+  });
+
+  runWithRequestContext({ requestId, logger: requestLogger }, next);
+});
+
 // CORS configuration
 const corsOptions = {
-  origin: '*', // Be more specific in production
+  origin: (origin, callback) => callback(null, !origin || access.isAllowedOrigin(origin)),
   methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Store', 'X-Request-Id', 'X-Debug'],
   credentials: true,
   maxAge: 86400,
 };
@@ -90,55 +370,67 @@ const corsOptions = {
 // Apply CORS middleware
 app.use(cors(corsOptions));
 
-// Ensure middleware order
-app.use(express.json());
+// Ensure middleware order; keep the raw body around for webhook signature checks
+function keepRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
 
-// Add request logging
-app.use((req, res, next) => {
-  console.log('Request Headers:', req.headers);
-  console.log('Request Method:', req.method);
-  console.log('Request URL:', req.url);
-  next();
-});
+// Shopify product payloads with many variants and images run past express's
+// 100kb default, and a 413 makes Shopify retry and eventually drop the webhook.
+// Bodies parsed here are skipped by the general parser below.
+app.use(['/webhooks', '/stores/:store/webhooks'], express.json({
+  limit: process.env.WEBHOOK_BODY_LIMIT || '2mb',
+  verify: keepRawBody
+}));
+app.use(express.json({ verify: keepRawBody }));
+
+// Shared cache: in-memory by default, Redis when CACHE_DRIVER=redis, or the
+// Redis driver over an in-process fake client when CACHE_DRIVER=fake
+function createCacheDriver() {
+  if (process.env.CACHE_DRIVER === 'fake') {
+    return createRedisDriver(createFakeRedisClient(), { prefix: process.env.CACHE_PREFIX || 'judgeme-proxy:' });
+  }
+  if (process.env.CACHE_DRIVER === 'redis') {
+    // Fail fast when Redis is unreachable so requests fall through to upstream
+    const redisClient = import('ioredis').then(({ default: Redis }) => new Redis(process.env.REDIS_URL, {
+      maxRetriesPerRequest: 1,
+      connectTimeout: 2000
+    }));
+    return createRedisDriver(redisClient, { prefix: process.env.CACHE_PREFIX || 'judgeme-proxy:' });
+  }
+  return createMemoryDriver();
+}
 
-// Add response logging
-app.use((req, res, next) => {
-  const originalSend = res.send;
-  res.send = function() {
-    console.log('Response Headers:', res.getHeaders());
-    return originalSend.apply(res, arguments);
-  };
-  next();
-});
+const cache = createCache({ driver: createCacheDriver(), logger: contextLogger });
 
-// Sanitize review data to only include public fields
-const sanitizeReview = (review) => {
+// Per-route TTLs in seconds, overridable with CACHE_TTL_<ROUTE> / CACHE_STALE_TTL_<ROUTE>
+function cacheTtl(route, ttl, staleTtl) {
   return {
-    rating: review.rating,
-    created_at: review.created_at,
-    product_handle: review.product_handle,
-    product_title: review.product_title,
-    title: review.title,
-    body: review.body,
-    reviewer: {
-      name: review.reviewer?.name
-    },
-    pictures: review.pictures?.map(pic => ({
-      urls: {
-        huge: pic.urls?.huge,
-        compact: pic.urls?.compact
-      }
-    })) || []
+    ttl: Number(process.env[`CACHE_TTL_${route}`] || ttl) * 1000,
+    staleTtl: Number(process.env[`CACHE_STALE_TTL_${route}`] || staleTtl) * 1000
   };
-};
+}
 
-// Simple in-memory cache
-let reviewsCache = {
-  data: null,
-  lastFetched: null
+const CACHE_TTLS = {
+  reviews: cacheTtl('REVIEWS', 60 * 60, 7 * 24 * 60 * 60),
+  instagram: cacheTtl('INSTAGRAM', 24 * 60 * 60, 7 * 24 * 60 * 60),
+  products: cacheTtl('PRODUCTS', 60 * 60, 24 * 60 * 60),
+  price: cacheTtl('PRICE', 5 * 60, 60 * 60),
+  collection: cacheTtl('COLLECTION', 5 * 60, 60 * 60),
+  tracking: cacheTtl('TRACKING', 15 * 60, 60 * 60),
+  facetIndex: cacheTtl('FACET_INDEX', 15 * 60, 24 * 60 * 60),
+  searchIndex: cacheTtl('SEARCH_INDEX', 24 * 60 * 60, 7 * 24 * 60 * 60)
 };
 
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+// Cache tags let webhooks invalidate exactly the entries a change affects
+function cacheTag(store, type, id) {
+  return `${store.storeKey}:${type}:${id}`;
+}
+
+// "gid://shopify/InventoryItem/123" -> "123"
+function shopifyLegacyId(gid) {
+  return String(gid).split('/').pop();
+}
 
 const axiosInstance = axios.create({
   timeout: 5000, // 5 second timeout
@@ -150,784 +442,2653 @@ const axiosInstance = axios.create({
   }
 });
 
-// Middleware
-app.use(express.json());
-app.use(cors());
-
-// Shopify products endpoint
-app.post('/products', async (req, res) => {
+// Resolve the store from a /stores/:store prefix or the X-Store header
+function resolveStore(req, res, next) {
   try {
-    const { handles } = req.body;
-    
-    if (!handles || !Array.isArray(handles)) {
-      return res.status(400).json({
-        error: 'Invalid request. Please provide an array of product handles.'
-      });
-    }
+    req.store = getStore(req.params.store || req.get('X-Store') || DEFAULT_STORE);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
 
-    // Split handles into chunks of 50 to avoid query complexity limits
-    const chunkSize = 50;
-    const handleChunks = [];
-    for (let i = 0; i < handles.length; i += chunkSize) {
-      handleChunks.push(handles.slice(i, i + chunkSize));
-    }
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
 
-    const query = `
-      query GetProductsByHandle($query: String!) {
-        products(first: 50, query: $query) {  # Increased from 10 to 50
-          nodes {
-            id
-            handle
-            title
-            featuredImage {
-              url
-            }
-            onlineStoreUrl
-            metafields(first: 1, namespace: "custom") {
-              nodes {
-                key
-                value
-                reference {
-                  ... on Product {
-                    title
-                    onlineStoreUrl
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    `;
-
-    // Fetch products in parallel for each chunk
-    const allProducts = [];
-    await Promise.all(
-      handleChunks.map(async (handleChunk) => {
-        const queryString = handleChunk.map(handle => `handle:'${handle}'`).join(' OR ');
-        console.log(`Fetching chunk with ${handleChunk.length} handles...`);
-
-        const response = await client.request(query, {
-          variables: {
-            query: queryString
-          }
-        });
+// Shopify and Judge.me routes, served at the root for the default store and under /stores/:store
+const storeRoutes = express.Router({ mergeParams: true });
+storeRoutes.use(resolveStore);
 
-        if (response.data?.products?.nodes) {
-          allProducts.push(...response.data.products.nodes);
+const PRODUCT_SUMMARY_FIELDS = `
+  id
+  handle
+  title
+  featuredImage {
+    url
+  }
+  onlineStoreUrl
+  metafields(first: 1, namespace: "custom") {
+    nodes {
+      key
+      value
+      reference {
+        ... on Product {
+          title
+          onlineStoreUrl
         }
-      })
-    );
+      }
+    }
+  }
+`;
 
-    // Process all products
-    const products = allProducts.map(node => {
-      const parentMetafield = node.metafields.nodes.find(m => m.key === 'parent_product');
-      return {
-        handle: node.handle,
-        title: node.title,
-        featuredImage: node.featuredImage?.url || null,
-        url: node.onlineStoreUrl,
-        parentProduct: parentMetafield?.reference ? {
-          title: parentMetafield.reference.title,
-          url: parentMetafield.reference.onlineStoreUrl
-        } : null
-      };
-    });
+// Handles per productByHandle batch, to stay within query complexity limits
+const PRODUCT_HANDLE_CHUNK_SIZE = 50;
 
-    res.json({ products });
-  } catch (error) {
-    console.error('Error in products route:', error);
-    res.status(500).json({
-      error: 'An error occurred while fetching products',
-      details: error.message || 'Unknown error'
-    });
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
   }
-});
+  return chunks;
+}
 
-// Proxy route for fetching reviews
-app.get('/fetch', async (req, res) => {
-  try {
-    // Check if we have cached data that's still valid
-    if (reviewsCache.data && reviewsCache.lastFetched && 
-        (Date.now() - reviewsCache.lastFetched) < CACHE_DURATION) {
-      return res.json(reviewsCache.data);
-    }
-
-    const perPage = 100;
-    let currentPage = 1;
-    let hasMoreReviews = true;
-    const allReviews = [];
-
-    while (hasMoreReviews) {
-      const response = await axiosInstance.get('https://judge.me/api/v1/reviews', {
-        params: {
-          api_token: JUDGE_ME_API_TOKEN,
-          shop_domain: 'mytilemart.myshopify.com',
-          per_page: perPage,
-          page: currentPage
-        }
-      });
+// Run `fn` over `items` with at most `limit` calls in flight, keeping order
+async function mapConcurrently(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
 
-      const currentReviews = response.data.reviews || [];
-      
-      if (currentReviews.length === 0 || currentReviews.length < perPage) {
-        hasMoreReviews = false;
-      }
+function toProductSummary(node) {
+  const parentMetafield = node.metafields.nodes.find(m => m.key === 'parent_product');
+  return {
+    handle: node.handle,
+    title: node.title,
+    featuredImage: node.featuredImage?.url || null,
+    url: node.onlineStoreUrl,
+    parentProduct: parentMetafield?.reference ? {
+      title: parentMetafield.reference.title,
+      url: parentMetafield.reference.onlineStoreUrl
+    } : null
+  };
+}
 
-      allReviews.push(...currentReviews);
-      currentPage++;
-    }
+// Resolve storefront details (title, image, URL, parent product) for unique
+// handles, as { handle: product } with null for handles that don't exist
+async function queryProductsByHandles(store, handles) {
+  const products = {};
+  await Promise.all(
+    chunk(handles, PRODUCT_HANDLE_CHUNK_SIZE).map(async (handleChunk) => {
+      const { query, variables } = productsByHandleQuery('GetProductsByHandle', handleChunk, PRODUCT_SUMMARY_FIELDS);
+      const response = await getShopifyClient(store).request(query, { variables });
+
+      productsFromHandleQuery(response.data, handleChunk).forEach((node, index) => {
+        products[handleChunk[index]] = node ? toProductSummary(node) : null;
+      });
+    })
+  );
+  return products;
+}
 
-    // Sanitize all reviews
-    const sanitizedReviews = {
-      reviews: allReviews
-        .filter(review => review.published === true && review.rating >= 4)
-        .map(sanitizeReview)
-    };
+// Cached by the (order-independent) set of requested handles. Returns
+// { handle: product | null } for every unique handle.
+async function fetchProductsByHandles(store, handles) {
+  const handleSet = [...new Set(handles)].sort();
+  const cacheKey = `products:${store.storeKey}:${createHash('sha1').update(handleSet.join(',')).digest('hex')}`;
+  return cache.wrap(cacheKey, CACHE_TTLS.products, async ({ tag }) => {
+    const products = await queryProductsByHandles(store, handleSet);
+    tag(...handleSet.map(handle => cacheTag(store, 'product', handle)));
+    return products;
+  });
+}
 
-    // Update cache
-    reviewsCache = {
-      data: sanitizedReviews,
-      lastFetched: Date.now()
-    };
+const MAX_PRODUCT_HANDLES = 250;
 
-    // Cache the response for 24 hours
-    res.set('Cache-Control', 'public, max-age=86400');
-    res.json(sanitizedReviews);
+// Shopify products endpoint
+storeRoutes.post('/products', access.public, rateLimit(req => Math.ceil((req.body?.handles?.length || 1) / 10)), validate({
+  body: { handles: list(handle(), { max: MAX_PRODUCT_HANDLES }) }
+}), async (req, res, next) => {
+  try {
+    // Repeated handles are answered once, in the order first requested
+    const handles = [...new Set(req.valid.body.handles)];
+    const productsByHandle = await fetchProductsByHandles(req.store, handles);
+
+    res.json({
+      products: handles.map(handle => productsByHandle[handle]).filter(Boolean),
+      missing: handles.filter(handle => !productsByHandle[handle])
+    });
   } catch (error) {
-    if (reviewsCache.data) {
-      return res.json(reviewsCache.data);
-    }
-    res.status(500).json({ error: 'Failed to fetch reviews' });
+    next(error);
   }
 });
 
-// Update the GraphQL query to first find the product by handle
-const PRICE_QUERY = `
-  query GetProductPrice($handle: String!) {
-    products(first: 1, query: $handle) {
-      nodes {
-        id
-        handle
-        title
-        productType
-        variants(first: 1) {
-          nodes {
-            id
-            price
-            compareAtPrice
-            inventoryQuantity
-            inventoryManagement
-            inventoryPolicy
-            metafields(first: 10, namespace: "pricelist") {
-              nodes {
-                key
-                value
-              }
-            }
-          }
-        }
-        metafields(first: 10, namespace: "pricelist") {
-          nodes {
-            key
-            value
-          }
-        }
+const JUDGE_ME_PAGE_SIZE = 100;
+const JUDGE_ME_PAGE_ATTEMPTS = 3;
+const JUDGE_ME_RETRY_DELAY = 500; // doubled after each failed attempt
+// Full syncs drop deleted reviews and catch edits an incremental sync can't reach
+const FULL_REVIEW_SYNC_INTERVAL = (Number(process.env.REVIEW_FULL_SYNC_HOURS) || 24) * 60 * 60 * 1000;
+
+// Browsers and the CDN only hold review responses briefly: the server-side
+// cache is kept current by webhooks, and a long max-age would hide that
+const REVIEWS_CACHE_CONTROL = 'public, max-age=60, stale-while-revalidate=300';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function reviewsCacheKey(store) {
+  return `reviews:${store.storeKey}`;
+}
+
+// Fetch a single Judge.me page, retrying with exponential backoff
+async function fetchReviewPage(store, page) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await timeUpstream(
+        getLogger(),
+        'judgeme',
+        'reviews',
+        () => axiosInstance.get('https://judge.me/api/v1/reviews', {
+          params: {
+            api_token: store.judgeMeApiToken,
+            shop_domain: store.shopDomain,
+            per_page: JUDGE_ME_PAGE_SIZE,
+            page
+          },
+          headers: requestIdHeaders()
+        }),
+        response => ({ store: store.storeKey, page, status: response.status })
+      );
+      return response.data.reviews || [];
+    } catch (error) {
+      if (attempt >= JUDGE_ME_PAGE_ATTEMPTS) {
+        throw fromAxiosError('Judge.me', error);
       }
+      const wait = JUDGE_ME_RETRY_DELAY * 2 ** (attempt - 1);
+      getLogger().warn('Judge.me page failed, retrying', { store: store.storeKey, page, attempt, retryInMs: wait, error: error.message });
+      await delay(wait);
     }
   }
-`;
+}
+
+// Sync a store's reviews into the cached set (see syncReviewSet)
+async function syncReviews(store, { full = false } = {}) {
+  requireJudgeMe(store);
+
+  const startedAt = Date.now();
+  const previous = await cache.get(reviewsCacheKey(store));
+  const state = await syncReviewSet(previous, page => fetchReviewPage(store, page), {
+    full,
+    pageSize: JUDGE_ME_PAGE_SIZE,
+    fullSyncInterval: FULL_REVIEW_SYNC_INTERVAL,
+    logger: { error: (msg, fields) => getLogger().error(msg, { store: store.storeKey, ...fields }) }
+  });
+
+  // Webhooks may have changed the cached set while the pages were fetched
+  return carryOverReviewChanges(state, await cache.get(reviewsCacheKey(store)), startedAt);
+}
+
+// Fetch every published review from Judge.me, reusing the cache while it's fresh
+async function getPublishedReviews(store) {
+  const state = await cache.wrap(reviewsCacheKey(store), CACHE_TTLS.reviews, () => syncReviews(store));
+  return {
+    reviews: state.records
+      .filter(record => record.published)
+      .map(record => record.review)
+  };
+}
+
+// Published reviews shown on the storefront (4+ stars)
+async function getReviews(store) {
+  const { reviews } = await getPublishedReviews(store);
+  return { reviews: reviews.filter(review => review.rating >= 4) };
+}
+
+const REVIEW_SORTS = {
+  newest: (a, b) => Date.parse(b.created_at) - Date.parse(a.created_at),
+  highest: (a, b) => (b.rating - a.rating) ||
+    (Date.parse(b.created_at) - Date.parse(a.created_at)),
+  most_photos: (a, b) => (b.pictures.length - a.pictures.length) ||
+    (Date.parse(b.created_at) - Date.parse(a.created_at))
+};
+
+const DEFAULT_REVIEW_LIMIT = 20;
+const MAX_REVIEW_LIMIT = 100;
+
+function hasReviewQuery(query) {
+  return Object.keys(REVIEW_QUERY_SCHEMA).some(param => query[param] !== undefined);
+}
+
+function encodeReviewCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
 
-// Update the price endpoint to handle the new query structure
-app.get('/price/:handle', async (req, res) => {
+function decodeReviewCursor(cursor) {
   try {
-    const { handle } = req.params;
-    console.log('Fetching price for handle:', handle);
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch (error) {
+    // Fall through to the validation error below
+  }
+  return null;
+}
 
-    const response = await client.request(PRICE_QUERY, {
-      variables: {
-        handle: `handle:${handle}`
-      }
+// ?after= cursors from a previous page, decoded to an offset
+function reviewCursor(value) {
+  const offset = decodeReviewCursor(value);
+  return offset === null ? { error: 'Invalid cursor' } : { value: offset };
+}
+
+const REVIEW_QUERY_SCHEMA = {
+  product_handle: optional(handle()),
+  min_rating: optional(integer({ min: 1, max: 5 })),
+  max_rating: optional(integer({ min: 1, max: 5 })),
+  has_pictures: optional(boolean()),
+  from: optional(date()),
+  to: optional(date()),
+  sort: optional(oneOf(Object.keys(REVIEW_SORTS)), 'newest'),
+  limit: optional(integer({ min: 1, max: MAX_REVIEW_LIMIT }), DEFAULT_REVIEW_LIMIT),
+  page: optional(integer({ min: 1 })),
+  after: optional(reviewCursor)
+};
+
+// Filter and paging options from the validated reviews query
+function reviewQueryOptions(query) {
+  if (query.after !== null && query.page !== null) {
+    throw new ApiError('VALIDATION_FAILED', 'Invalid request', {
+      details: { invalid: { page: 'Use either page or after, not both' } }
     });
+  }
+
+  return {
+    productHandle: query.product_handle,
+    minRating: query.min_rating,
+    maxRating: query.max_rating,
+    hasPictures: query.has_pictures,
+    from: query.from,
+    to: query.to,
+    sort: query.sort,
+    limit: query.limit,
+    offset: query.after ?? (query.page ? (query.page - 1) * query.limit : 0)
+  };
+}
 
-    console.log('GraphQL Response:', JSON.stringify(response, null, 2));
+// Filter, sort and paginate the cached reviews
+function queryReviews(reviews, options) {
+  const matches = reviews
+    .filter(review => {
+      const createdAt = Date.parse(review.created_at);
+      return (!options.productHandle || review.product_handle === options.productHandle) &&
+        (options.minRating === null || review.rating >= options.minRating) &&
+        (options.maxRating === null || review.rating <= options.maxRating) &&
+        (options.hasPictures === null || (review.pictures.length > 0) === options.hasPictures) &&
+        (options.from === null || createdAt >= options.from) &&
+        (options.to === null || createdAt <= options.to);
+    })
+    .sort(REVIEW_SORTS[options.sort]);
+
+  const { limit, offset } = options;
+  const nextOffset = offset + limit;
+  const hasNextPage = nextOffset < matches.length;
 
-    if (!response.data?.products?.nodes?.[0]) {
-      return res.status(404).json({ 
-        error: 'Product not found',
-        handle: handle
-      });
+  return {
+    reviews: matches.slice(offset, nextOffset),
+    pageInfo: {
+      total: matches.length,
+      page: Math.floor(offset / limit) + 1,
+      limit,
+      totalPages: Math.ceil(matches.length / limit),
+      hasNextPage,
+      endCursor: hasNextPage ? encodeReviewCursor(nextOffset) : null
     }
+  };
+}
 
-    const product = response.data.products.nodes[0];
-    const variant = product.variants.nodes[0];
-
-    const variantMetafields = variant.metafields.nodes.reduce((acc, meta) => {
-      acc[meta.key] = meta.value;
-      return acc;
-    }, {});
-    const productMetafields = product.metafields.nodes.reduce((acc, meta) => {
-      acc[meta.key] = meta.value;
-      return acc;
-    }, {});
-
-    // Process pricing information
-    const priceInfo = {
-      currentPrice: variant.price,
-      compareAtPrice: variant.compareAtPrice,
-      onSale: variant.compareAtPrice > variant.price,
-      inventory: {
-        quantity: variant.inventoryQuantity,
-        management: variant.inventoryManagement,
-        policy: variant.inventoryPolicy
-      },
-      uom: (variantMetafields.uom || '').toUpperCase(),
-      sellUnit: (variantMetafields.sell_unit || '').toUpperCase(),
-      status: (productMetafields.status || '').toUpperCase(),
-      productType: (product.productType || '').toUpperCase()
-    };
+// Proxy route for fetching reviews
+storeRoutes.get('/fetch', access.public, rateLimit(), validate({ query: REVIEW_QUERY_SCHEMA }), async (req, res, next) => {
+  try {
+    // Validate before touching Judge.me so bad requests fail fast
+    const options = hasReviewQuery(req.query) ? reviewQueryOptions(req.valid.query) : null;
+    const data = await getReviews(req.store);
 
-    // Calculate conversion values
-    priceInfo.conversion = calculateConversion(priceInfo.uom, priceInfo.sellUnit, variantMetafields);
-    
-    // Calculate price per square foot
-    if (product.productType.toUpperCase() !== 'TRIM') {
-      priceInfo.pricePerSqFt = calculatePricePerSqFt(priceInfo, variantMetafields);
+    res.set('Cache-Control', REVIEWS_CACHE_CONTROL);
+
+    // Without query parameters keep returning the full review set
+    if (!options) {
+      return res.json(data);
     }
 
-    // Determine stock status
-    priceInfo.stock = determineStockStatus(priceInfo);
+    res.json(queryReviews(data.reviews, options));
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Additional logic from Liquid template
-    const stockNotice = determineStockNotice(priceInfo);
-    const unitDisplay = determineUnitDisplay(priceInfo.sellUnit);
+// Force a full Judge.me resync, replacing the cached review set
+storeRoutes.post('/admin/reviews/resync', access.admin, async (req, res, next) => {
+  try {
+    const state = await syncReviews(req.store, { full: true });
+    await cache.set(reviewsCacheKey(req.store), state, CACHE_TTLS.reviews);
 
     res.json({
-      ...priceInfo,
-      stockNotice,
-      unitDisplay
+      store: req.store.storeKey,
+      totalReviews: state.records.length,
+      lastSync: state.lastSync
     });
   } catch (error) {
-    console.error('Error fetching price:', error);
-    res.status(500).json({
-      error: 'Failed to fetch price information',
-      details: error.message
-    });
+    next(error);
   }
 });
 
-function calculateConversion(uom, sellUnit, metafields) {
-  if (!uom || !sellUnit) return 1;
+// Report how current the cached review set is
+storeRoutes.get('/admin/reviews/sync-status', access.admin, async (req, res, next) => {
+  try {
+    const state = await cache.get(reviewsCacheKey(req.store));
 
-  switch(uom) {
-    case 'SF':
-      switch(sellUnit) {
-        case 'SF': return 1;
-        case 'EA':
-        case 'SHT': return Number(metafields.sf_ea);
-        case 'BX':
-        case 'SET': return Number(metafields.sf_box);
-        case 'PLT': return Number(metafields.sf_plt);
-        default: return 1;
-      }
-    // Add other conversion cases as needed
-    default:
-      return 1;
+    if (!state) {
+      return res.json({ store: req.store.storeKey, synced: false });
+    }
+
+    res.json({
+      store: req.store.storeKey,
+      synced: true,
+      totalReviews: state.records.length,
+      publishedReviews: state.records.filter(record => record.published).length,
+      newestReviewAt: state.newestUpdatedAt ? new Date(state.newestUpdatedAt).toISOString() : null,
+      lastFullSync: state.lastFullSync,
+      lastSync: state.lastSync,
+      history: state.history
+    });
+  } catch (error) {
+    next(error);
   }
-}
+});
 
-function calculatePricePerSqFt(priceInfo, metafields) {
-  const { uom, sellUnit, currentPrice, compareAtPrice } = priceInfo;
-  let totalSf = 1;
+const MAX_SUMMARY_HANDLES = 250;
 
-  if (uom === 'SF') {
-    switch(sellUnit) {
-      case 'SF':
-        totalSf = 1;
-        break;
-      case 'EA':
-      case 'SHT':
-        totalSf = Number(metafields.sf_ea);
-        break;
-      case 'BX':
-      case 'SET':
-        totalSf = Number(metafields.sf_box);
-        break;
-      case 'PLT':
-        totalSf = Number(metafields.sf_box) * Number(metafields.bx_plt);
-        break;
+// Aggregate rating stats for a single product's reviews
+function summarizeReviews(reviews) {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let ratingTotal = 0;
+  let photoReviewCount = 0;
+
+  for (const review of reviews) {
+    const star = Math.min(5, Math.max(1, Math.round(review.rating)));
+    distribution[star]++;
+    ratingTotal += review.rating;
+    if (review.pictures.length > 0) {
+      photoReviewCount++;
     }
   }
 
   return {
-    current: totalSf ? (currentPrice / totalSf) : currentPrice,
-    compare: compareAtPrice ? (compareAtPrice / totalSf) : null
+    count: reviews.length,
+    averageRating: reviews.length ? Math.round((ratingTotal / reviews.length) * 100) / 100 : null,
+    distribution,
+    photoReviewCount
   };
 }
 
-function determineStockStatus(priceInfo) {
-  const { status, inventory } = priceInfo;
-  const result = {
-    notice: '',
-    subtext: '',
-    color: '',
-    hasBoldText: false
-  };
+const JUDGE_ME_WEBHOOK_EVENTS = ['review/created', 'review/updated', 'review/published', 'review/unpublished'];
 
-  if (status === 'ACTIVE') {
-    if (inventory.management === 'shopify' && inventory.policy === 'continue') {
-      if (inventory.quantity === 0) {
-        result.notice = 'Temporarily';
-        result.subtext = 'Oversold';
-        result.color = '#FD8B07';
-        result.hasBoldText = true;
-      }
-    }
-  }
+function verifyHmac(rawBody, signature, secret, encoding) {
+  if (!rawBody || !signature || !secret) return false;
+  const expected = createHmac('sha256', secret).update(rawBody).digest(encoding);
+  return safeEqual(signature, expected);
+}
 
-  return result;
+// Apply a single review change to the cached set, if one has been synced.
+// The set keeps its freshness, so scheduled syncs still run on time.
+async function applyReviewWebhook(store, event, review) {
+  const record = toReviewRecord(review);
+  if (event === 'review/published') record.published = true;
+  if (event === 'review/unpublished') record.published = false;
+
+  const state = await cache.update(reviewsCacheKey(store), current => applyReviewChange(current, record));
+  if (!state) {
+    return { applied: false, reason: 'No cached reviews yet; the next sync will include this review' };
+  }
+  return { applied: true, published: record.published };
 }
 
-function determineStockNotice(priceInfo) {
-  const { status, inventory } = priceInfo;
-  let notice = '';
-  let subtext = '';
-  let color = '';
-  let hasBoldText = false;
-
-  if (status === 'ACTIVE') {
-    if (inventory.management === 'shopify' && inventory.policy === 'continue') {
-      if (inventory.quantity === 0) {
-        notice = 'Temporarily';
-        subtext = 'Oversold';
-        color = '#FD8B07';
-        hasBoldText = true;
-      } else if (inventory.quantity > 0) {
-        notice = 'Low Stock';
-        subtext = `Only ${inventory.quantity} left!`;
-        color = '#FD8B07';
-      }
+// Judge.me webhooks keep the cached review set current between syncs
+storeRoutes.post('/webhooks/judgeme', access.signed, async (req, res, next) => {
+  try {
+    const signature = req.get('JUDGEME-V2-HMAC-SHA256') || req.get('JUDGEME-HMAC-SHA256');
+    const secret = req.store.judgeMeWebhookSecret || req.store.judgeMeApiToken;
+
+    if (!verifyHmac(req.rawBody, signature, secret, 'hex')) {
+      getLogger().warn('Rejected Judge.me webhook with invalid signature', {
+        store: req.store.storeKey,
+        hasSignature: !!signature
+      });
+      throw new ApiError('UNAUTHORIZED', 'Invalid webhook signature');
+    }
+
+    const event = req.get('JUDGEME-EVENT') || req.body?.event;
+    const review = req.body?.review;
+
+    if (!JUDGE_ME_WEBHOOK_EVENTS.includes(event) || !review || review.id === undefined ||
+        typeof review.rating !== 'number') {
+      getLogger().warn('Rejected malformed Judge.me webhook', {
+        store: req.store.storeKey,
+        event,
+        reviewId: review?.id
+      });
+      throw new ApiError('VALIDATION_FAILED', 'Malformed webhook payload', {
+        details: { supportedEvents: JUDGE_ME_WEBHOOK_EVENTS }
+      });
+    }
+
+    const result = await applyReviewWebhook(req.store, event, review);
+    getLogger().info('Processed Judge.me webhook', { store: req.store.storeKey, event, reviewId: review.id, ...result });
+
+    res.json({ received: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cache tags affected by each Shopify webhook topic, or null if the payload is unusable
+const SHOPIFY_WEBHOOK_TOPICS = {
+  'products/update': (store, payload) => payload.handle
+    ? [cacheTag(store, 'product', payload.handle)]
+    : null,
+  'inventory_levels/update': (store, payload) => payload.inventory_item_id
+    ? [cacheTag(store, 'inventory-item', payload.inventory_item_id)]
+    : null,
+  'collections/update': (store, payload) => payload.handle
+    ? [cacheTag(store, 'collection', payload.handle)]
+    : null
+};
+
+// Shopify webhooks invalidate cached price, product and collection responses
+storeRoutes.post('/webhooks/shopify', access.signed, async (req, res, next) => {
+  try {
+    const signature = req.get('X-Shopify-Hmac-Sha256');
+    const topic = req.get('X-Shopify-Topic');
+
+    if (!verifyHmac(req.rawBody, signature, req.store.shopifyWebhookSecret, 'base64')) {
+      getLogger().warn('Rejected Shopify webhook with invalid signature', {
+        store: req.store.storeKey,
+        topic,
+        shopDomain: req.get('X-Shopify-Shop-Domain')
+      });
+      throw new ApiError('UNAUTHORIZED', 'Invalid webhook signature');
+    }
+
+    const tagsForTopic = SHOPIFY_WEBHOOK_TOPICS[topic];
+    const tags = tagsForTopic && req.body ? tagsForTopic(req.store, req.body) : null;
+
+    if (!tags) {
+      getLogger().warn('Rejected unsupported or malformed Shopify webhook', { store: req.store.storeKey, topic });
+      throw new ApiError('VALIDATION_FAILED', 'Unsupported topic or malformed payload', {
+        details: { supportedTopics: Object.keys(SHOPIFY_WEBHOOK_TOPICS) }
+      });
+    }
+
+    const invalidatedKeys = await cache.invalidateTags(tags);
+    getLogger().info('Processed Shopify webhook', { store: req.store.storeKey, topic, tags, invalidatedKeys });
+
+    res.json({ received: true, topic, invalidated: invalidatedKeys.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Per-product review aggregates, computed over every published review
+storeRoutes.get('/reviews/summary', access.public, rateLimit(), validate({
+  query: { handles: commaList(handle(), { max: MAX_SUMMARY_HANDLES }) }
+}), async (req, res, next) => {
+  try {
+    const handles = [...new Set(req.valid.query.handles)];
+
+    const { reviews } = await getPublishedReviews(req.store);
+    const reviewsByHandle = new Map(handles.map(handle => [handle, []]));
+    for (const review of reviews) {
+      reviewsByHandle.get(review.product_handle)?.push(review);
+    }
+
+    const products = {};
+    for (const [handle, productReviews] of reviewsByHandle) {
+      products[handle] = summarizeReviews(productReviews);
+    }
+
+    res.set('Cache-Control', REVIEWS_CACHE_CONTROL);
+    res.json({ products });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const JSONLD_REVIEW_LIMIT = 10;
+
+// Serialize JSON so it can be embedded verbatim in a <script type="application/ld+json"> tag
+function serializeJsonLd(data) {
+  return JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+function buildProductJsonLd(product, publishedReviews) {
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: product.title,
+    ...(product.featuredImage ? { image: product.featuredImage } : {}),
+    ...(product.url ? { url: product.url } : {})
+  };
+
+  // Google rejects AggregateRating without at least one review
+  if (publishedReviews.length === 0) {
+    return jsonLd;
+  }
+
+  const summary = summarizeReviews(publishedReviews);
+  jsonLd.aggregateRating = {
+    '@type': 'AggregateRating',
+    ratingValue: summary.averageRating,
+    reviewCount: summary.count,
+    bestRating: 5,
+    worstRating: 1
+  };
+
+  // Mark up the same 4+ star reviews the storefront displays
+  jsonLd.review = publishedReviews
+    .filter(review => review.rating >= 4)
+    .sort(REVIEW_SORTS.newest)
+    .slice(0, JSONLD_REVIEW_LIMIT)
+    .map(review => ({
+      '@type': 'Review',
+      reviewRating: {
+        '@type': 'Rating',
+        ratingValue: review.rating,
+        bestRating: 5,
+        worstRating: 1
+      },
+      author: {
+        '@type': 'Person',
+        name: review.reviewer.name || 'Anonymous'
+      },
+      datePublished: review.created_at,
+      ...(review.title ? { name: review.title } : {}),
+      ...(review.body ? { reviewBody: review.body } : {})
+    }));
+
+  return jsonLd;
+}
+
+// Schema.org Product + AggregateRating + Review structured data for a product
+storeRoutes.get('/reviews/:handle/jsonld', access.public, rateLimit(), validate({
+  params: { handle: handle() }
+}), async (req, res, next) => {
+  try {
+    const { handle } = req.valid.params;
+
+    const [products, { reviews }] = await Promise.all([
+      fetchProductsByHandles(req.store, [handle]),
+      getPublishedReviews(req.store)
+    ]);
+
+    const product = products[handle];
+    if (!product) {
+      throw new ApiError('NOT_FOUND', 'Product not found', { details: { handle } });
+    }
+
+    const productReviews = reviews.filter(review => review.product_handle === handle);
+
+    res.set('Cache-Control', REVIEWS_CACHE_CONTROL);
+    res.type('application/ld+json');
+    res.send(serializeJsonLd(buildProductJsonLd(product, productReviews)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stock notice rules. stock-rules.json ships with the deploy; rules saved
+// through PUT /admin/stock-rules are kept in the shared cache and replace it
+// on every instance until they are deleted. A broken rules file stops the
+// server at startup rather than silently dropping notices.
+const STOCK_RULES_PATH = process.env.STOCK_RULES_PATH || fileURLToPath(new URL('./stock-rules.json', import.meta.url));
+
+const fileStockRules = readConfigOrExit(() => loadStockRules(STOCK_RULES_PATH));
+
+const STOCK_RULES_CACHE_KEY = 'stock-rules';
+// Saved rules stay until they are replaced or deleted
+const SAVED_STOCK_RULES_TTL = { ttl: 10 * 365 * 24 * 60 * 60 * 1000 };
+
+// The rules in effect. Read on every use rather than held in memory, so all
+// instances switch together when rules are saved.
+async function getStockRules() {
+  return (await cache.get(STOCK_RULES_CACHE_KEY)) || fileStockRules;
+}
+
+// Tile finder facets, read once at startup
+const FACETS_PATH = process.env.FACETS_PATH || fileURLToPath(new URL('./facets.json', import.meta.url));
+
+const facetConfig = readConfigOrExit(() => loadFacetConfig(FACETS_PATH));
+
+// Unit labels and stock notice text per locale, from locales/*.json
+const translations = readConfigOrExit(() => loadTranslations(fileURLToPath(new URL('./locales', import.meta.url))));
+
+// Product fields the price calculations need. Keep an eye on query cost when
+// raising these limits: variants x metafields multiplies per product.
+const PRICE_VARIANT_FIELDS = `
+  id
+  sku
+  title
+  price
+  compareAtPrice
+  contextualPricing(context: { country: $country }) @include(if: $inContext) {
+    price {
+      amount
+      currencyCode
+    }
+    compareAtPrice {
+      amount
+      currencyCode
+    }
+  }
+  inventoryQuantity
+  inventoryManagement
+  inventoryPolicy
+  inventoryItem {
+    id
+  }
+  metafields(first: 10, namespace: "pricelist") {
+    nodes {
+      key
+      value
+    }
+  }
+`;
+
+// Products with more variants than the first query asks for get the rest
+// from PRODUCT_VARIANTS_QUERY (see withAllVariants)
+const PRICE_PRODUCT_FIELDS = `
+  id
+  handle
+  title
+  productType
+  variants(first: 10) {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    nodes {
+      ${PRICE_VARIANT_FIELDS}
+    }
+  }
+  metafields(first: 10, namespace: "pricelist") {
+    nodes {
+      key
+      value
+    }
+  }
+`;
+
+const PRODUCT_VARIANTS_QUERY = `
+  query GetProductVariantPrices($id: ID!, $first: Int!, $after: String, $country: CountryCode, $inContext: Boolean = false) {
+    product(id: $id) {
+      variants(first: $first, after: $after) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          ${PRICE_VARIANT_FIELDS}
+        }
+      }
+    }
+  }
+`;
+
+// ~600 cost points a page; 41 pages cover Shopify's 2048 variant limit
+const PRICE_VARIANTS_PAGE_SIZE = 50;
+const MAX_PRICE_VARIANT_PAGES = 41;
+
+// ~150 cost points per product, so batches stay under Shopify's 1000 point query limit
+const BATCH_PRICE_CHUNK_SIZE = 5;
+// Chunks in flight at once. Each asks for most of the shop's cost bucket, so
+// more than this only ends in THROTTLED responses.
+const BATCH_PRICE_CONCURRENCY = 2;
+
+// Price fields for each handle plus the shop currency. $country/$inContext
+// switch on market-specific (contextual) pricing for a country.
+function priceQuery(name, handles) {
+  return productsByHandleQuery(name, handles, PRICE_PRODUCT_FIELDS, {
+    variables: ['$country: CountryCode', '$inContext: Boolean = false'],
+    extra: `
+    shop {
+      currencyCode
+    }`
+  });
+}
+
+// The product with every variant, following variant pagination past the first
+// page. `variantsTruncated` is set if the page cap cut the list short.
+async function withAllVariants(store, product, { country = null } = {}) {
+  const { pageInfo, nodes } = product.variants;
+  if (!pageInfo.hasNextPage) {
+    return { ...product, variantsTruncated: false };
+  }
+
+  const result = await fetchAllPages(async (after) => {
+    const response = await getShopifyClient(store).request(PRODUCT_VARIANTS_QUERY, {
+      variables: { id: product.id, first: PRICE_VARIANTS_PAGE_SIZE, after, country, inContext: !!country }
+    });
+    const variants = response.data?.product?.variants;
+    return variants && { items: variants.nodes, pageInfo: variants.pageInfo };
+  }, { after: pageInfo.endCursor, maxPages: MAX_PRICE_VARIANT_PAGES });
+
+  const variantsTruncated = !result || result.truncated;
+  if (variantsTruncated) {
+    getLogger().warn('Product variants truncated', { store: store.storeKey, handle: product.handle, variants: nodes.length + (result?.items.length || 0) });
+  }
+
+  return {
+    ...product,
+    variants: { nodes: [...nodes, ...(result?.items || [])] },
+    variantsTruncated
+  };
+}
+
+function metafieldsToObject(metafields) {
+  return metafields.nodes.reduce((acc, meta) => {
+    acc[meta.key] = meta.value;
+    return acc;
+  }, {});
+}
+
+// Pricing, stock and unit display for a single variant. Prices are in `currency`
+// unless the variant carries contextual (market) pricing in its own currency.
+function buildVariantPriceInfo(product, variant, productMetafields, currency, stockRules) {
+  const variantMetafields = metafieldsToObject(variant.metafields);
+  const marketPricing = variant.contextualPricing;
+  const currentPrice = marketPricing ? marketPricing.price.amount : variant.price;
+  const compareAtPrice = marketPricing ? marketPricing.compareAtPrice?.amount ?? null : variant.compareAtPrice;
+
+  // Process pricing information
+  const priceInfo = {
+    currentPrice,
+    compareAtPrice,
+    currency: marketPricing ? marketPricing.price.currencyCode : currency,
+    onSale: compareAtPrice !== null && Number(compareAtPrice) > Number(currentPrice),
+    inventory: {
+      quantity: variant.inventoryQuantity,
+      management: variant.inventoryManagement,
+      policy: variant.inventoryPolicy
+    },
+    uom: (variantMetafields.uom || '').toUpperCase(),
+    sellUnit: (variantMetafields.sell_unit || '').toUpperCase(),
+    status: (productMetafields.status || '').toUpperCase(),
+    productType: (product.productType || '').toUpperCase()
+  };
+
+  // Calculate conversion values; problems are reported rather than turned into NaN prices
+  const conversion = convertSellUnit({
+    uom: priceInfo.uom,
+    sellUnit: priceInfo.sellUnit,
+    metafields: variantMetafields
+  });
+  priceInfo.conversion = conversion.value;
+  if (conversion.errors.length > 0) {
+    priceInfo.conversionErrors = conversion.errors;
+  }
+
+  priceInfo.pricePerUnit = {
+    unit: priceInfo.uom || null,
+    current: pricePerUom(priceInfo.currentPrice, conversion.value),
+    compare: pricePerUom(priceInfo.compareAtPrice, conversion.value)
+  };
+
+  // Calculate price per square foot
+  if (priceInfo.productType !== 'TRIM') {
+    priceInfo.pricePerSqFt = pricePerSqFt(priceInfo);
+  }
+
+  // Stock notice from the first matching stock rule
+  const { rule: stockRule, notice: stockNotice } = evaluateStockRules(stockRules, priceInfo);
+  priceInfo.stock = stockNotice;
+  priceInfo.stockRule = stockRule;
+
+  const unitDisplay = determineUnitDisplay(priceInfo.sellUnit);
+
+  return {
+    id: variant.id,
+    sku: variant.sku || null,
+    title: variant.title,
+    ...priceInfo,
+    stockNotice,
+    unitDisplay
+  };
+}
+
+// Top-level fields describe the selected variant, so single-variant callers keep working
+function withSelectedVariant(priceInfo, variant) {
+  const { id, sku, title, ...variantPricing } = variant;
+  return {
+    ...priceInfo,
+    ...variantPricing,
+    selectedVariantId: id
+  };
+}
+
+// Build the price response for a product queried with PRICE_PRODUCT_FIELDS,
+// once withAllVariants has filled in every variant
+function buildPriceInfo(product, currency, stockRules) {
+  const productMetafields = metafieldsToObject(product.metafields);
+  const variants = product.variants.nodes.map(variant =>
+    buildVariantPriceInfo(product, variant, productMetafields, currency, stockRules)
+  );
+
+  // "From $X/sq.ft" across every variant that has a usable per-sq.ft price
+  const perSqFtPrices = variants
+    .map(variant => Number(variant.pricePerSqFt?.current))
+    .filter(Number.isFinite);
+
+  return withSelectedVariant({
+    variants,
+    variantsTruncated: product.variantsTruncated === true,
+    fromPricePerSqFt: perSqFtPrices.length ? Math.min(...perSqFtPrices) : null
+  }, variants[0]);
+}
+
+// Find a variant by ID (numeric or GID) or SKU
+function findVariant(variants, selector) {
+  const wanted = String(selector).trim();
+  return variants.find(candidate =>
+    candidate.id === wanted ||
+    shopifyLegacyId(candidate.id) === wanted ||
+    (candidate.sku && candidate.sku.toLowerCase() === wanted.toLowerCase())
+  );
+}
+
+// ?variant= / "variant": a variant GID, numeric ID (also as a JSON number) or SKU
+const variantSelector = optional(value => Number.isInteger(value) && value > 0 ? { value: String(value) } : string()(value));
+
+// Re-point the top-level fields at the chosen variant
+function selectVariant(priceInfo, selector) {
+  const variant = findVariant(priceInfo.variants, selector);
+  return variant ? withSelectedVariant(priceInfo, variant) : null;
+}
+
+// Look up a product's price information, or null when the handle doesn't exist
+async function fetchPriceInfo(store, handle, { tag = () => {}, country = null } = {}) {
+  const { query, variables } = priceQuery('GetProductPrice', [handle]);
+  const response = await getShopifyClient(store).request(query, {
+    variables: {
+      ...variables,
+      country,
+      inContext: !!country
+    }
+  });
+
+  const [firstPage] = productsFromHandleQuery(response.data, [handle]);
+  if (!firstPage) {
+    return null;
+  }
+
+  const product = await withAllVariants(store, firstPage, { country });
+
+  tag(...priceCacheTags(store, product));
+  return buildPriceInfo(product, response.data.shop?.currencyCode, await getStockRules());
+}
+
+// Market prices for a country are cached apart from the shop's base prices
+function priceCacheKey(store, handle, country = null) {
+  return `price:${store.storeKey}:${handle}${country ? `:${country}` : ''}`;
+}
+
+function priceCacheTags(store, product) {
+  return [
+    cacheTag(store, 'product', product.handle),
+    cacheTag(store, 'stock-rules', 'all'),
+    ...product.variants.nodes
+      .filter(variant => variant.inventoryItem)
+      .map(variant => cacheTag(store, 'inventory-item', shopifyLegacyId(variant.inventoryItem.id)))
+  ];
+}
+
+// ?locale=, ?currency=, ?country= and ?variant= for /price/:handle. Prices
+// come in the shop's currency, or a market's for ?country=; there is no
+// conversion, so a ?currency= the prices aren't in is rejected.
+const PRICE_QUERY_SCHEMA = {
+  locale: optional(string({ maxLength: 35 })),
+  currency: optional(string({ pattern: /^[A-Za-z]{3}$/, message: 'Must be a 3-letter ISO 4217 code' })),
+  country: optional(string({ pattern: /^[A-Za-z]{2}$/, message: 'Must be a 2-letter ISO 3166 code' })),
+  variant: variantSelector
+};
+
+// Countries whose market prices a ?currency= without ?country= stands for.
+// Currencies shared by several countries (EUR) need ?country=.
+const CURRENCY_COUNTRIES = {
+  AUD: 'AU',
+  CAD: 'CA',
+  GBP: 'GB',
+  JPY: 'JP',
+  MXN: 'MX',
+  NZD: 'NZ',
+  USD: 'US'
+};
+
+// Validated ?locale=, ?currency= and ?country= for /price/:handle
+function parsePriceLocaleQuery(query) {
+  const locale = query.locale ? parseLocale(query.locale) : DEFAULT_LOCALE;
+  if (!locale) {
+    throw new ApiError('VALIDATION_FAILED', 'Invalid request', {
+      details: { invalid: { locale: 'Must be a language tag such as "fr-CA"' } }
+    });
+  }
+
+  return {
+    locale,
+    currency: query.currency ? query.currency.toUpperCase() : null,
+    country: query.country ? query.country.toUpperCase() : null
+  };
+}
+
+// Price info in `currency` when one is asked for: the shop's base prices when
+// they are in it, otherwise the market prices of `country` or, without one,
+// of the country the currency belongs to. Fails when the prices that come
+// back are in another currency.
+async function getPriceInfoInCurrency(store, handle, { currency, country }) {
+  let priceInfo = await getPriceInfo(store, handle, { country });
+  let marketCountry = country;
+
+  if (priceInfo && currency && !country && priceInfo.currency !== currency && CURRENCY_COUNTRIES[currency]) {
+    marketCountry = CURRENCY_COUNTRIES[currency];
+    priceInfo = await getPriceInfo(store, handle, { country: marketCountry });
+  }
+
+  if (priceInfo && currency && priceInfo.currency !== currency) {
+    throw new ApiError('UNPROCESSABLE', `Prices are not available in ${currency}`, {
+      details: {
+        currency: priceInfo.currency,
+        country: marketCountry,
+        ...(!country && !CURRENCY_COUNTRIES[currency] ? { hint: 'Pass ?country= for the market that sells in this currency' } : {})
+      }
+    });
+  }
+
+  return priceInfo;
+}
+
+function formatPricePair(pair, currency, locale) {
+  return pair && {
+    current: formatMoney(pair.current, currency, locale),
+    compare: formatMoney(pair.compare, currency, locale)
+  };
+}
+
+// Translate unit labels and stock notices and add formatted price strings.
+// Numeric values are left as they are.
+function localizePriceInfo(priceInfo, locale, stockRules) {
+  const messages = stockNoticeMessages(translations, locale);
+
+  const variants = priceInfo.variants.map(variant => {
+    const { notice } = evaluateStockRules(stockRules, variant, messages);
+    return {
+      ...variant,
+      stock: notice,
+      stockNotice: notice,
+      unitDisplay: determineUnitDisplay(variant.sellUnit, locale),
+      formatted: {
+        currentPrice: formatMoney(variant.currentPrice, variant.currency, locale),
+        compareAtPrice: formatMoney(variant.compareAtPrice, variant.currency, locale),
+        pricePerUnit: formatPricePair(variant.pricePerUnit, variant.currency, locale),
+        pricePerSqFt: formatPricePair(variant.pricePerSqFt, variant.currency, locale) ?? null
+      }
+    };
+  });
+
+  const selected = variants.find(variant => variant.id === priceInfo.selectedVariantId) || variants[0];
+  return withSelectedVariant({
+    variants,
+    variantsTruncated: priceInfo.variantsTruncated,
+    fromPricePerSqFt: priceInfo.fromPricePerSqFt,
+    formattedFromPricePerSqFt: formatMoney(priceInfo.fromPricePerSqFt, selected.currency, locale),
+    locale
+  }, selected);
+}
+
+// Price, stock and unit display for a product in the market or currency asked
+// for, localized by ?locale= and narrowed to one variant by ?variant=
+storeRoutes.get('/price/:handle', access.public, rateLimit(), validate({
+  params: { handle: handle() },
+  query: PRICE_QUERY_SCHEMA
+}), async (req, res, next) => {
+  try {
+    const { handle } = req.valid.params;
+    const { locale, currency, country } = parsePriceLocaleQuery(req.valid.query);
+
+    const cachedPriceInfo = await getPriceInfoInCurrency(req.store, handle, { currency, country });
+
+    if (!cachedPriceInfo) {
+      throw new ApiError('NOT_FOUND', 'Product not found', { details: { handle } });
+    }
+
+    const priceInfo = localizePriceInfo(cachedPriceInfo, locale, await getStockRules());
+
+    // Optional ?variant=<id|gid|sku> picks which variant the top-level fields describe
+    if (req.valid.query.variant) {
+      const selected = selectVariant(priceInfo, req.valid.query.variant);
+      if (!selected) {
+        throw new ApiError('NOT_FOUND', 'Variant not found', { details: { handle, variant: req.valid.query.variant } });
+      }
+      return res.json(selected);
+    }
+
+    res.json(priceInfo);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cached prices carry notices from the rules they were built with
+async function invalidateStockNotices() {
+  return cache.invalidateTags(
+    Object.keys(STORES).map(storeKey => cacheTag({ storeKey }, 'stock-rules', 'all'))
+  );
+}
+
+function describeStockRules(stockRules) {
+  return {
+    source: stockRules === fileStockRules ? 'file' : 'saved',
+    rules: stockRules.rules.map(rule => rule.id),
+    lowStockThreshold: stockRules.lowStockThreshold
+  };
+}
+
+// The stock rules in effect, and whether they come from the deployed file or
+// were saved through PUT
+storeRoutes.get('/admin/stock-rules', access.admin, async (req, res, next) => {
+  try {
+    const stockRules = await getStockRules();
+    res.json({ ...describeStockRules(stockRules), config: stockRules });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the stock rules on every instance without a deploy. The body is a
+// complete rules config in the stock-rules.json format; invalid rules are
+// rejected and the current ones stay in place.
+storeRoutes.put('/admin/stock-rules', access.admin, async (req, res, next) => {
+  try {
+    const problems = validateStockRules(req.body);
+    if (problems.length > 0) {
+      throw new ApiError('UNPROCESSABLE', 'Invalid stock rules', { details: problems });
+    }
+
+    await cache.set(STOCK_RULES_CACHE_KEY, req.body, SAVED_STOCK_RULES_TTL);
+    const invalidated = await invalidateStockNotices();
+
+    res.json({ ...describeStockRules(req.body), invalidated: invalidated.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Drop the saved stock rules and go back to the deployed stock-rules.json
+storeRoutes.delete('/admin/stock-rules', access.admin, async (req, res, next) => {
+  try {
+    await cache.delete(STOCK_RULES_CACHE_KEY);
+    const invalidated = await invalidateStockNotices();
+
+    res.json({ ...describeStockRules(fileStockRules), invalidated: invalidated.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const MAX_BATCH_PRICE_HANDLES = 300;
+
+// Price info for many handles at once, as a Map of handle -> price info.
+// Handles that don't exist are left out; handles in a chunk that failed map
+// to the error. `tag(handle, ...tags)` receives each product's cache tags.
+async function fetchBatchPriceInfo(store, handles, { tag = () => {} } = {}) {
+  const prices = new Map();
+  const stockRules = await getStockRules();
+  await mapConcurrently(chunk(handles, BATCH_PRICE_CHUNK_SIZE), BATCH_PRICE_CONCURRENCY, async (handleChunk) => {
+    let response;
+    try {
+      const { query, variables } = priceQuery('GetProductPrices', handleChunk);
+      response = await getShopifyClient(store).request(query, { variables });
+    } catch (error) {
+      getLogger().error('Batch price chunk failed', { store: store.storeKey, handles: handleChunk, error: error.message });
+      handleChunk.forEach(handle => prices.set(handle, error));
+      return;
+    }
+
+    await Promise.all(productsFromHandleQuery(response.data, handleChunk).map(async (firstPage, index) => {
+      if (!firstPage) return;
+
+      const handle = handleChunk[index];
+      try {
+        const product = await withAllVariants(store, firstPage);
+        tag(handle, ...priceCacheTags(store, product));
+        prices.set(handle, buildPriceInfo(product, response.data.shop?.currencyCode, stockRules));
+      } catch (error) {
+        getLogger().error('Batch price variants failed', { store: store.storeKey, handle, error: error.message });
+        prices.set(handle, error);
+      }
+    }));
+  });
+
+  return prices;
+}
+
+// Cached price info for many handles, as a Map of handle -> price info or the
+// Error its fetch failed with; handles that don't exist are left out
+async function getBatchPriceInfo(store, uniqueHandles) {
+  const handlesByKey = new Map(uniqueHandles.map(handle => [priceCacheKey(store, handle), handle]));
+
+  const pricesByKey = await cache.wrapMany([...handlesByKey.keys()], CACHE_TTLS.price, async (keys, { tag }) => {
+    const prices = await fetchBatchPriceInfo(store, keys.map(key => handlesByKey.get(key)), {
+      tag: (handle, ...tags) => tag(priceCacheKey(store, handle), ...tags)
+    });
+    return new Map([...prices].map(([handle, priceInfo]) => [priceCacheKey(store, handle), priceInfo]));
+  });
+
+  return new Map([...pricesByKey].map(([key, priceInfo]) => [handlesByKey.get(key), priceInfo]));
+}
+
+// Batch price endpoint for collection grids
+storeRoutes.post('/prices', access.public, rateLimit(req => Math.ceil((req.body?.handles?.length || 1) / BATCH_PRICE_CHUNK_SIZE)), validate({
+  body: { handles: list(handle(), { max: MAX_BATCH_PRICE_HANDLES }) }
+}), async (req, res, next) => {
+  try {
+    const uniqueHandles = [...new Set(req.valid.body.handles)];
+    const found = await getBatchPriceInfo(req.store, uniqueHandles);
+    const failed = uniqueHandles.filter(handle => found.get(handle) instanceof Error);
+
+    // Nothing to show; report the upstream failure itself
+    if (failed.length === uniqueHandles.length) {
+      throw found.get(failed[0]);
+    }
+
+    // Keyed by handle in request order; handles that don't exist are listed in
+    // `missing`, ones whose lookup failed (worth retrying) in `unavailable`
+    const prices = {};
+    for (const handle of uniqueHandles) {
+      if (!found.has(handle)) prices[handle] = { error: 'not_found' };
+      else if (failed.includes(handle)) prices[handle] = { error: 'unavailable' };
+      else prices[handle] = found.get(handle);
+    }
+
+    res.json({
+      prices,
+      missing: uniqueHandles.filter(handle => !found.has(handle)),
+      unavailable: failed
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+function determineUnitDisplay(sellUnit, locale = DEFAULT_LOCALE) {
+  return translateUnit(translations, locale, sellUnit);
+}
+
+// Tile coverage calculator
+
+const DEFAULT_WASTE_PERCENT = 10; // common allowance for cuts and breakage
+const MAX_CALCULATOR_ROOMS = 50;
+
+// Feet per length unit and square feet per area unit
+const LENGTH_UNITS = { ft: 1, in: 1 / 12, m: 3.28084, cm: 0.0328084 };
+const AREA_UNITS = { sqft: 1, sqm: 10.7639 };
+
+function roundTo(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Share the cached /price/:handle lookup
+async function getPriceInfo(store, handle, { country = null } = {}) {
+  return cache.wrap(
+    priceCacheKey(store, handle, country),
+    CACHE_TTLS.price,
+    ({ tag }) => fetchPriceInfo(store, handle, { tag, country })
+  );
+}
+
+function calculatorError(message, code, details) {
+  return new ApiError(code, message, { details });
+}
+
+const positiveNumber = number({ greaterThan: 0 });
+const feetAndInches = object({
+  feet: optional(number({ min: 0 }), 0),
+  inches: optional(number({ min: 0 }), 0)
+});
+
+// A positive length: a number in the room's unit, or { feet, inches }
+function roomLength(value) {
+  if (!value || typeof value !== 'object') return positiveNumber(value);
+  const result = feetAndInches(value);
+  if (result.value && result.value.feet + result.value.inches / 12 <= 0) {
+    return { error: 'Must be a positive length' };
+  }
+  return result;
+}
+
+// A POST room: { name, length, width, unit } or { name, area, unit }
+const CALCULATOR_ROOM = object({
+  name: optional(string({ maxLength: 100 })),
+  area: optional(positiveNumber),
+  length: optional(roomLength),
+  width: optional(roomLength),
+  unit: optional(oneOf([...Object.keys(LENGTH_UNITS), ...Object.keys(AREA_UNITS)]))
+});
+
+const WASTE_RULE = optional(number({ min: 0, max: 100 }), DEFAULT_WASTE_PERCENT);
+
+function toFeet(length, unit, field, invalid) {
+  if (length === null) {
+    invalid[field] = 'Is required';
+    return null;
+  }
+  return typeof length === 'object' ? length.feet + length.inches / 12 : length * LENGTH_UNITS[unit];
+}
+
+// Normalize validated POST rooms to square feet (or linear feet for trim).
+// Which fields a room needs depends on the product, so this runs once it's known.
+function parseRooms(rooms, measure) {
+  const invalid = {};
+
+  const parsed = rooms.map((room, index) => {
+    const field = `rooms[${index}]`;
+    const name = room.name || `Room ${index + 1}`;
+
+    if (room.area !== null && measure === 'sqft') {
+      const unit = room.unit || 'sqft';
+      if (!AREA_UNITS[unit]) {
+        invalid[`${field}.unit`] = `Must be one of: ${Object.keys(AREA_UNITS).join(', ')} for an area`;
+        return null;
+      }
+      return { name, quantity: room.area * AREA_UNITS[unit] };
+    }
+
+    const unit = room.unit || 'ft';
+    if (!LENGTH_UNITS[unit]) {
+      invalid[`${field}.unit`] = `Must be one of: ${Object.keys(LENGTH_UNITS).join(', ')} for a length`;
+      return null;
+    }
+
+    const length = toFeet(room.length, unit, `${field}.length`, invalid);
+    if (measure === 'linear_ft') {
+      return length === null ? null : { name, quantity: length };
+    }
+
+    const width = toFeet(room.width, unit, `${field}.width`, invalid);
+    return length === null || width === null ? null : { name, quantity: length * width };
+  });
+
+  if (Object.keys(invalid).length > 0) {
+    throw new ApiError('VALIDATION_FAILED', 'Invalid request', { details: { invalid } });
+  }
+
+  return parsed.map(room => ({ ...room, quantity: roundTo(room.quantity) }));
+}
+
+// Trim is sold by the linear foot, everything else by the square foot
+function calculatorMeasure(priceInfo) {
+  return priceInfo.productType === 'TRIM' ? 'linear_ft' : 'sqft';
+}
+
+// Square (or linear) feet one sell unit of this variant covers, if known
+function coveragePerUnit(variant, measure) {
+  const expectedDimension = measure === 'sqft' ? 'area' : 'length';
+  if (UOMS[variant.uom]?.dimension !== expectedDimension || !variant.conversion) return null;
+  return toImperial(variant.conversion, variant.uom);
+}
+
+function quoteVariant(variant, required, coverage) {
+  const unitsToBuy = Math.ceil(roundTo(required / coverage, 6));
+  const actualCoverage = unitsToBuy * coverage;
+  const unitPrice = Number(variant.currentPrice);
+
+  return {
+    variantId: variant.id,
+    sku: variant.sku,
+    sellUnit: variant.sellUnit,
+    unitDisplay: variant.unitDisplay,
+    coveragePerUnit: coverage,
+    unitsToBuy,
+    coverage: roundTo(actualCoverage),
+    overage: roundTo(actualCoverage - required),
+    unitPrice,
+    totalPrice: roundTo(unitsToBuy * unitPrice),
+    currency: variant.currency
+  };
+}
+
+function calculateCoverage(priceInfo, { quantity, waste, variant: variantSelector }) {
+  const measure = calculatorMeasure(priceInfo);
+  const required = roundTo(quantity * (1 + waste / 100));
+
+  // Default to the first non-pallet variant we can quote
+  const variant = variantSelector
+    ? findVariant(priceInfo.variants, variantSelector)
+    : priceInfo.variants.find(candidate => candidate.sellUnit !== 'PLT' && coveragePerUnit(candidate, measure)) ||
+      priceInfo.variants[0];
+
+  if (!variant) {
+    throw calculatorError('Variant not found', 'NOT_FOUND', { variant: variantSelector });
+  }
+
+  const coverage = coveragePerUnit(variant, measure);
+  if (!coverage) {
+    throw calculatorError('Coverage data is missing for this product', 'UNPROCESSABLE', {
+      variantId: variant.id,
+      uom: variant.uom,
+      sellUnit: variant.sellUnit,
+      expectedUom: measure === 'sqft' ? 'SF or SM' : 'LF or LM',
+      ...(variant.conversionErrors ? { conversionErrors: variant.conversionErrors } : {})
+    });
+  }
+
+  const quote = quoteVariant(variant, required, coverage);
+
+  // Compare against buying whole pallets, when the product is sold that way
+  const palletVariant = priceInfo.variants.find(candidate =>
+    candidate.id !== variant.id && candidate.sellUnit === 'PLT' && coveragePerUnit(candidate, measure)
+  );
+  const palletQuote = palletVariant
+    ? quoteVariant(palletVariant, required, coveragePerUnit(palletVariant, measure))
+    : null;
+
+  return {
+    measure,
+    requested: roundTo(quantity),
+    wastePercent: waste,
+    required,
+    ...quote,
+    pallet: palletQuote ? {
+      ...palletQuote,
+      cheaper: palletQuote.totalPrice < quote.totalPrice
+    } : null
+  };
+}
+
+// How many units to buy for an area (or, for trim, a length in linear feet)
+storeRoutes.get('/calculate/:handle', access.public, rateLimit(), validate({
+  params: { handle: handle() },
+  query: {
+    area: optional(positiveNumber),
+    length: optional(positiveNumber),
+    waste: WASTE_RULE,
+    variant: variantSelector
+  }
+}), async (req, res, next) => {
+  try {
+    const { handle } = req.valid.params;
+    const priceInfo = await getPriceInfo(req.store, handle);
+
+    if (!priceInfo) {
+      throw new ApiError('NOT_FOUND', 'Product not found', { details: { handle } });
+    }
+
+    // Tiles take an area in sq.ft, trim a length in linear feet
+    const measure = calculatorMeasure(priceInfo);
+    const param = measure === 'sqft' ? 'area' : 'length';
+    const quantity = req.valid.query[param];
+
+    if (quantity === null) {
+      throw new ApiError('VALIDATION_FAILED', 'Invalid request', {
+        details: { invalid: { [param]: measure === 'sqft' ? 'Is required: an area in sq.ft' : 'Is required: a length in linear feet' } }
+      });
+    }
+
+    res.json({
+      handle,
+      ...calculateCoverage(priceInfo, {
+        quantity,
+        waste: req.valid.query.waste,
+        variant: req.valid.query.variant
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Multi-room variant: { rooms: [{ name, length, width, unit } | { name, area, unit }], waste, variant }
+storeRoutes.post('/calculate/:handle', access.public, rateLimit(), validate({
+  params: { handle: handle() },
+  body: {
+    rooms: list(CALCULATOR_ROOM, { max: MAX_CALCULATOR_ROOMS }),
+    waste: WASTE_RULE,
+    variant: variantSelector
+  }
+}), async (req, res, next) => {
+  try {
+    const { handle } = req.valid.params;
+    const priceInfo = await getPriceInfo(req.store, handle);
+
+    if (!priceInfo) {
+      throw new ApiError('NOT_FOUND', 'Product not found', { details: { handle } });
+    }
+
+    const measure = calculatorMeasure(priceInfo);
+    const rooms = parseRooms(req.valid.body.rooms, measure);
+    const quantity = rooms.reduce((total, room) => total + room.quantity, 0);
+
+    res.json({
+      handle,
+      rooms,
+      ...calculateCoverage(priceInfo, {
+        quantity,
+        waste: req.valid.body.waste,
+        variant: req.valid.body.variant
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Customer-facing order status. Only what a customer needs to follow their
+// order is queried; addresses and contact details stay out of the response.
+const ORDER_FIELDS = `
+  id
+  name
+  email
+  createdAt
+  cancelledAt
+  displayFinancialStatus
+  displayFulfillmentStatus
+  totalPriceSet {
+    shopMoney {
+      amount
+      currencyCode
+    }
+  }
+  subtotalPriceSet {
+    shopMoney {
+      amount
+      currencyCode
+    }
+  }
+  totalShippingPriceSet {
+    shopMoney {
+      amount
+      currencyCode
+    }
+  }
+  totalTaxSet {
+    shopMoney {
+      amount
+      currencyCode
+    }
+  }
+  lineItems(first: 50) {
+    nodes {
+      title
+      quantity
+      originalUnitPriceSet {
+        shopMoney {
+          amount
+          currencyCode
+        }
+      }
+      variant {
+        id
+        sku
+        product {
+          handle
+        }
+      }
     }
-  } else if (status === 'DISCONTINUED') {
-    if (inventory.management === 'shopify' && inventory.policy === 'deny') {
-      if (inventory.quantity === 0) {
-        notice = 'Discontinued';
-        subtext = 'Out of Stock';
-        color = '#DC3545';
-      } else if (inventory.quantity > 0) {
-        notice = 'Discontinued';
-        subtext = `Only ${inventory.quantity} left!`;
-        color = '#FD8B07';
+  }
+  fulfillments {
+    status
+    displayStatus
+    createdAt
+    trackingInfo {
+      company
+      number
+      url
+    }
+  }
+`;
+
+const ORDER_QUERY = `
+  query GetOrder($id: ID!) {
+    order(id: $id) {
+      ${ORDER_FIELDS}
+    }
+  }
+`;
+
+const ORDER_BY_NAME_QUERY = `
+  query GetOrderByName($query: String!) {
+    orders(first: 1, query: $query) {
+      nodes {
+        ${ORDER_FIELDS}
       }
     }
-  } else if (status === 'CLEARANCE') {
-    if (inventory.management === 'shopify' && inventory.policy === 'deny') {
-      if (inventory.quantity > 0) {
-        subtext = `Only ${inventory.quantity} left!`;
-        color = '#FD8B07';
-      } else {
-        subtext = 'Out of Stock';
-        color = '#DC3545';
+  }
+`;
+
+const ORDER_STATUS_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000;
+// Lookups are charged extra against the rate limit to slow down guessing order numbers
+const ORDER_LOOKUP_COST = 10;
+
+// Carrier adapters that supply tracking events, enabled by name with
+// TRACKING_ADAPTERS (comma separated). Without any, tracking has links only.
+const TRACKING_ADAPTER_FACTORIES = {
+  stub: () => createStubCarrierAdapter()
+};
+
+function createTrackingAdapters() {
+  return (process.env.TRACKING_ADAPTERS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => {
+      if (!TRACKING_ADAPTER_FACTORIES[name]) {
+        throw new Error(`Unknown tracking adapter "${name}" in TRACKING_ADAPTERS (available: ${Object.keys(TRACKING_ADAPTER_FACTORIES).join(', ')})`);
       }
+      return TRACKING_ADAPTER_FACTORIES[name]();
+    });
+}
+
+const trackingService = createTrackingService({ adapters: createTrackingAdapters(), logger: contextLogger });
+
+function orderNotFound() {
+  // Same answer for unknown orders and wrong emails, so lookups can't probe order numbers
+  return new ApiError('NOT_FOUND', 'Order not found');
+}
+
+function getOrderLinkSecret(store) {
+  if (!store.orderLinkSecret) {
+    throw new ApiError('NOT_CONFIGURED', `Order status links are not configured for store: ${store.storeKey}`, {
+      details: { requestedStore: store.storeKey },
+      debug: { missingEnv: `${store.storeKey.toUpperCase()}_ORDER_LINK_SECRET` }
+    });
+  }
+  return store.orderLinkSecret;
+}
+
+// "<payload>.<signature>", both base64url; the payload names the store, order and expiry
+function signOrderStatusToken(store, orderId, expiresAt) {
+  const payload = Buffer.from(JSON.stringify({
+    store: store.storeKey,
+    order: shopifyLegacyId(orderId),
+    exp: expiresAt
+  })).toString('base64url');
+  const signature = createHmac('sha256', getOrderLinkSecret(store)).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+// The order's numeric ID for a valid, unexpired token from this store, otherwise null
+function verifyOrderStatusToken(store, token) {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) return null;
+
+  const expected = createHmac('sha256', getOrderLinkSecret(store)).update(payload).digest('base64url');
+  if (!safeEqual(signature, expected)) return null;
+
+  try {
+    const { store: storeKey, order, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (storeKey !== store.storeKey || !(exp > Date.now())) return null;
+    return order;
+  } catch (error) {
+    return null;
+  }
+}
+
+// "1001" or "#1001" -> "#1001"; null for anything that isn't an order name
+function normalizeOrderName(rawName) {
+  const name = String(rawName || '').trim();
+  if (!/^#?[A-Za-z0-9-]{1,32}$/.test(name)) return null;
+  return name.startsWith('#') ? name : `#${name}`;
+}
+
+function toMoney(moneySet) {
+  return moneySet?.shopMoney ? {
+    amount: moneySet.shopMoney.amount,
+    currencyCode: moneySet.shopMoney.currencyCode
+  } : null;
+}
+
+function toOrderStatusView(order) {
+  return {
+    name: order.name,
+    createdAt: order.createdAt,
+    cancelled: !!order.cancelledAt,
+    financialStatus: order.displayFinancialStatus,
+    fulfillmentStatus: order.displayFulfillmentStatus,
+    lineItems: order.lineItems.nodes.map(item => ({
+      title: item.title,
+      quantity: item.quantity,
+      sku: item.variant?.sku || null,
+      productHandle: item.variant?.product?.handle || null,
+      unitPrice: toMoney(item.originalUnitPriceSet)
+    })),
+    totals: {
+      subtotal: toMoney(order.subtotalPriceSet),
+      shipping: toMoney(order.totalShippingPriceSet),
+      tax: toMoney(order.totalTaxSet),
+      total: toMoney(order.totalPriceSet)
+    },
+    fulfillments: (order.fulfillments || []).map(fulfillment => ({
+      status: fulfillment.displayStatus || fulfillment.status,
+      createdAt: fulfillment.createdAt,
+      tracking: (fulfillment.trackingInfo || []).map(info => {
+        const carrier = normalizeCarrier(info.company);
+        return {
+          company: info.company,
+          carrier,
+          number: info.number,
+          url: info.url || carrierTrackingUrl(carrier?.id, info.number)
+        };
+      })
+    }))
+  };
+}
+
+// Attach carrier tracking events (and the latest status) to each tracked shipment
+async function withTrackingEvents(view) {
+  await Promise.all(view.fulfillments.flatMap(fulfillment => fulfillment.tracking.map(async (tracking) => {
+    tracking.events = [];
+    tracking.status = null;
+    if (!tracking.carrier || !tracking.number || !trackingService.supports(tracking.carrier.id)) return;
+
+    const events = await cache.wrap(
+      `tracking:${tracking.carrier.id}:${tracking.number}`,
+      CACHE_TTLS.tracking,
+      () => trackingService.track({ carrier: tracking.carrier.id, number: tracking.number })
+    );
+    tracking.events = events || [];
+    tracking.status = tracking.events.length ? tracking.events[tracking.events.length - 1].status : null;
+  })));
+  return view;
+}
+
+// Look up an order by name and confirm the email on it. POST keeps the email out of URLs and logs.
+storeRoutes.post('/orders/lookup', access.public, rateLimit(() => ORDER_LOOKUP_COST), validate({
+  body: {
+    order: string({ pattern: /^#?[A-Za-z0-9-]{1,32}$/, message: 'Must be an order number such as #1001' }),
+    email: string({ pattern: /^[^\s@]+@[^\s@]+$/, maxLength: 254, message: 'Must be an email address' })
+  }
+}), async (req, res, next) => {
+  try {
+    const orderName = normalizeOrderName(req.valid.body.order);
+    const email = req.valid.body.email.toLowerCase();
+
+    const response = await getShopifyClient(req.store).request(ORDER_BY_NAME_QUERY, {
+      variables: { query: `name:${shopifySearchValue(orderName)}` }
+    });
+    const order = response.data?.orders?.nodes?.[0];
+
+    if (!order || order.name !== orderName || !safeEqual((order.email || '').toLowerCase(), email)) {
+      throw orderNotFound();
+    }
+
+    res.json({ order: await withTrackingEvents(toOrderStatusView(order)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Order status from a signed link, e.g. in a shipping confirmation email
+storeRoutes.get('/orders/status', access.public, rateLimit(), validate({
+  query: { token: string({ maxLength: 1024 }) }
+}), async (req, res, next) => {
+  try {
+    const orderId = verifyOrderStatusToken(req.store, req.valid.query.token);
+    if (!orderId) {
+      throw new ApiError('UNAUTHORIZED', 'Invalid or expired status token');
+    }
+
+    const response = await getShopifyClient(req.store).request(ORDER_QUERY, {
+      variables: { id: `gid://shopify/Order/${orderId}` }
+    });
+    const order = response.data?.order;
+
+    if (!order) {
+      throw orderNotFound();
+    }
+
+    res.json({ order: await withTrackingEvents(toOrderStatusView(order)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const ORDER_ID_PARAMS = {
+  id: string({ pattern: /^\d{1,20}$/, message: 'Must be a numeric order ID' })
+};
+
+// Issue a signed order status token for a numeric order ID
+storeRoutes.post('/admin/orders/:id/status-token', access.admin, validate({ params: ORDER_ID_PARAMS }), (req, res, next) => {
+  try {
+    const expiresAt = Date.now() + ORDER_STATUS_TOKEN_TTL;
+    res.json({
+      token: signOrderStatusToken(req.store, req.valid.params.id, expiresAt),
+      expiresAt: new Date(expiresAt).toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Full Shopify order, including customer details, for internal tools
+storeRoutes.get('/admin/orders/:id', access.admin, validate({ params: ORDER_ID_PARAMS }), async (req, res, next) => {
+  try {
+    const { id } = req.valid.params;
+    requireShopify(req.store);
+
+    // Use REST API endpoint
+    const response = await timeUpstream(
+      getLogger(),
+      'shopify',
+      'orders.get',
+      () => fetchUpstream('Shopify', getShopifyAdminUrl(req.store, `orders/${id}.json`), {
+        headers: {
+          'X-Shopify-Access-Token': req.store.shopifyAccessToken,
+          'Content-Type': 'application/json',
+          ...requestIdHeaders()
+        }
+      }),
+      response => ({ store: req.store.storeKey, status: response.status })
+    );
+
+    if (!response.ok) {
+      throw upstreamError('Shopify', {
+        status: response.status,
+        debug: { orderId: id, body: await response.text() }
+      });
     }
+
+    const data = await response.json();
+    res.json(data);
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+async function fetchInstagramFeed(store) {
+  const INSTAGRAM_API_URL = 'https://graph.instagram.com/me/media';
+  
+  const response = await timeUpstream(
+    getLogger(),
+    'instagram',
+    'media',
+    () => fetchUpstream('Instagram', `${INSTAGRAM_API_URL}?fields=id,caption,media_type,media_url,permalink&access_token=${store.accessToken}`, {
+      headers: requestIdHeaders()
+    }),
+    response => ({ store: store.storeKey, status: response.status })
+  );
+
+  if (!response.ok) {
+    throw upstreamError('Instagram', {
+      status: response.status,
+      debug: { store: store.storeKey, body: await response.text() }
+    });
   }
 
-  return { notice, subtext, color, hasBoldText };
-}
+  const data = await response.json();
+  
+  // Transform the data to include only what we need
+  return {
+    posts: data.data.map(post => ({
+      id: post.id,
+      caption: post.caption,
+      mediaType: post.media_type,
+      mediaUrl: post.media_url,
+      permalink: post.permalink
+    })),
+    paging: data.paging
+  };
+}
+
+async function handleInstagramRequest(req, res, next, storeKey = 'tilemart') {
+  try {
+    const store = getInstagramStore(storeKey);
+    const feed = await cache.wrap(`instagram:${store.storeKey}`, CACHE_TTLS.instagram, () => fetchInstagramFeed(store));
+
+    // Cache the response for 24 hours
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.json(feed);
 
-function determineUnitDisplay(sellUnit) {
-  switch (sellUnit) {
-    case 'BX':
-      return { singular: 'box', plural: 'boxes' };
-    case 'SF':
-      return { singular: 'sq.ft', plural: 'sq.ft' };
-    case 'EA':
-      return { singular: 'piece', plural: 'pieces' };
-    case 'SHT':
-      return { singular: 'sheet', plural: 'sheets' };
-    case 'SET':
-      return { singular: 'set', plural: 'sets' };
-    case 'PLT':
-      return { singular: 'pallet', plural: 'pallets' };
-    default:
-      return { singular: '', plural: '' };
+  } catch (error) {
+    next(error);
   }
 }
 
-// Order query
-const ORDER_QUERY = `
-  query GetOrder($id: ID!) {
-    order(id: $id) {
+// Instagram feed endpoints
+app.get('/instagram', access.public, rateLimit(), (req, res, next) => handleInstagramRequest(req, res, next, 'tilemart'));
+app.get('/instagram/elittile', access.public, rateLimit(), (req, res, next) => handleInstagramRequest(req, res, next, 'elittile'));
+
+// Shopify's sort keys for products in a collection, as ?sort= values
+const COLLECTION_SORTS = {
+  'collection-default': 'COLLECTION_DEFAULT',
+  'best-selling': 'BEST_SELLING',
+  created: 'CREATED',
+  id: 'ID',
+  manual: 'MANUAL',
+  price: 'PRICE',
+  title: 'TITLE'
+};
+
+// Optional product fields, as ?fields= values
+const COLLECTION_EXTRA_FIELDS = ['image', 'price', 'parent'];
+
+// Optional fields are switched on with @include so unused ones cost nothing
+const PAGINATED_COLLECTION_QUERY = `
+  query GetProductsWithMetafields(
+    $collectionHandle: String!,
+    $first: Int!,
+    $after: String,
+    $sortKey: ProductCollectionSortKeys = COLLECTION_DEFAULT,
+    $reverse: Boolean = false,
+    $withImage: Boolean = false,
+    $withPrice: Boolean = false,
+    $withParent: Boolean = false
+  ) {
+    collectionByHandle(handle: $collectionHandle) {
       id
-      name
-      email
-      phone
-      totalPriceSet {
-        shopMoney {
-          amount
-          currencyCode
-        }
-      }
-      subtotalPriceSet {
-        shopMoney {
-          amount
-          currencyCode
-        }
-      }
-      totalShippingPriceSet {
-        shopMoney {
-          amount
-          currencyCode
-        }
-      }
-      totalTaxSet {
-        shopMoney {
-          amount
-          currencyCode
+      title
+      handle
+      products(first: $first, after: $after, sortKey: $sortKey, reverse: $reverse) {
+        pageInfo {
+          hasNextPage
+          endCursor
         }
-      }
-      lineItems(first: 50) {
         nodes {
+          id
           title
-          quantity
-          originalUnitPriceSet {
-            shopMoney {
+          handle
+          productType
+          totalInventory
+          tracksInventory
+          metafield(namespace: "primary", key: "application") {
+            value
+          }
+          featuredImage @include(if: $withImage) {
+            url
+          }
+          priceRangeV2 @include(if: $withPrice) {
+            minVariantPrice {
+              amount
+              currencyCode
+            }
+            maxVariantPrice {
               amount
               currencyCode
             }
           }
-          variant {
-            id
-            sku
-            product {
-              handle
+          parentProduct: metafield(namespace: "custom", key: "parent_product") @include(if: $withParent) {
+            reference {
+              ... on Product {
+                title
+                onlineStoreUrl
+              }
             }
           }
         }
       }
-      shippingAddress {
-        address1
-        address2
-        city
-        province
-        zip
-        country
-      }
-      fulfillments {
-        trackingCompany
-        trackingNumbers
-      }
     }
   }
 `;
 
-// Orders endpoint
-app.get('/orders/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    // Use REST API endpoint
-    const response = await fetch(`https://${SHOP_URL}/admin/api/2024-01/orders/${id}.json`, {
-      headers: {
-        'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-        'Content-Type': 'application/json'
-      }
-    });
+function toCollectionProduct(product, fields) {
+  return {
+    id: product.id,
+    title: product.title,
+    handle: product.handle,
+    application: product.metafield?.value || null,
+    productType: product.productType || null,
+    // Untracked inventory is always available
+    available: !product.tracksInventory || product.totalInventory > 0,
+    ...(fields.includes('image') ? { featuredImage: product.featuredImage?.url || null } : {}),
+    ...(fields.includes('price') ? {
+      price: product.priceRangeV2 ? {
+        min: Number(product.priceRangeV2.minVariantPrice.amount),
+        max: Number(product.priceRangeV2.maxVariantPrice.amount),
+        currency: product.priceRangeV2.minVariantPrice.currencyCode
+      } : null
+    } : {}),
+    ...(fields.includes('parent') ? {
+      parentProduct: product.parentProduct?.reference ? {
+        title: product.parentProduct.reference.title,
+        url: product.parentProduct.reference.onlineStoreUrl
+      } : null
+    } : {})
+  };
+}
 
-    if (!response.ok) {
-      console.error('Shopify API error:', await response.text());
-      return res.status(response.status).json({
-        error: 'Failed to fetch order',
-        orderId: id,
-        status: response.status
-      });
+// Fetch one page of a collection's products, or null when the collection doesn't exist
+async function fetchCollectionPage(store, handle, first, after, { sort = 'collection-default', reverse = false, fields = [], tag = () => {} } = {}) {
+  const response = await getShopifyClient(store).request(PAGINATED_COLLECTION_QUERY, {
+    variables: {
+      collectionHandle: handle,
+      first: first,
+      after: after,
+      sortKey: COLLECTION_SORTS[sort],
+      reverse,
+      withImage: fields.includes('image'),
+      withPrice: fields.includes('price'),
+      withParent: fields.includes('parent')
     }
+  });
 
-    const data = await response.json();
-    res.json(data);
-    
-  } catch (error) {
-    console.error('Error fetching order:', error);
-    res.status(500).json({
-      error: 'Failed to fetch order information',
-      details: error.message,
-      requestedId: id
-    });
+  if (!response.data?.collectionByHandle) {
+    getLogger().info('Collection not found', { store: store.storeKey, handle, graphQLErrors: response.errors?.message });
+    return null;
   }
-});
 
-const instagramCache = new Map();
+  const collection = response.data.collectionByHandle;
+  tag(
+    cacheTag(store, 'collection', collection.handle),
+    ...collection.products.nodes.map(product => cacheTag(store, 'product', product.handle))
+  );
 
-function getCachedValue(cache, storeKey) {
-  return cache.get(storeKey) || { data: null, lastFetched: null };
+  return {
+    id: collection.id,
+    title: collection.title,
+    handle: collection.handle,
+    products: collection.products.nodes.map(product => toCollectionProduct(product, fields)),
+    pageInfo: collection.products.pageInfo
+  };
 }
 
-function setCachedValue(cache, storeKey, data) {
-  cache.set(storeKey, {
-    data,
-    lastFetched: Date.now()
-  });
+// Follow `pageInfo.endCursor` from `after` until the last page or `maxPages`.
+// `fetchPage(after)` returns { items, pageInfo } or null when there is nothing
+// to page through. `truncated` is set when the cap stopped the walk early;
+// the returned pageInfo then points at where to continue.
+async function fetchAllPages(fetchPage, { after = null, maxPages }) {
+  const items = [];
+  let firstPage = null;
+  let pageInfo = { hasNextPage: true, endCursor: after };
+  let pages = 0;
+
+  while (pageInfo.hasNextPage && pages < maxPages) {
+    const page = await fetchPage(pageInfo.endCursor);
+    if (!page) return null;
+
+    firstPage = firstPage || page;
+    items.push(...page.items);
+    pageInfo = page.pageInfo;
+    pages += 1;
+  }
+
+  return { firstPage, items, pageInfo, pages, truncated: pageInfo.hasNextPage };
 }
 
-async function handleInstagramRequest(req, res, storeKey = 'tilemart') {
-  try {
-    const store = getInstagramStore(storeKey);
-    const cachedFeed = getCachedValue(instagramCache, store.storeKey);
+const MAX_COLLECTION_PAGE_SIZE = 250;
+// all=true stops after this many pages (of collectionPageSize(fields) products)
+const MAX_COLLECTION_EXPORT_PAGES = Number(process.env.COLLECTION_EXPORT_MAX_PAGES) || 20;
 
-    if (cachedFeed.data && cachedFeed.lastFetched &&
-        (Date.now() - cachedFeed.lastFetched) < CACHE_DURATION) {
-      return res.json(cachedFeed.data);
-    }
+// Shopify rejects a query over 1000 cost points, and a connection costs about
+// one point per object per node, times the page size. Page sizes are worked
+// out against this budget, which leaves some headroom.
+const QUERY_COST_BUDGET = 900;
 
-    const INSTAGRAM_API_URL = 'https://graph.instagram.com/me/media';
-    
-    const response = await fetch(`${INSTAGRAM_API_URL}?fields=id,caption,media_type,media_url,permalink&access_token=${store.accessToken}`);
+function pageSizeWithinBudget(objectsPerNode) {
+  return Math.min(MAX_COLLECTION_PAGE_SIZE, Math.floor(QUERY_COST_BUDGET / objectsPerNode));
+}
 
-    if (!response.ok) {
-      if (cachedFeed.data) {
-        return res.json(cachedFeed.data);
-      }
-      
-      console.error('Instagram API error:', await response.text());
-      return res.status(response.status).json({
-        error: 'Failed to fetch Instagram feed',
-        status: response.status,
-        store: store.storeKey
-      });
-    }
+// Objects each collection product node selects: the product and its
+// application metafield, plus those of the optional fields
+const COLLECTION_NODE_OBJECTS = 2;
+const COLLECTION_FIELD_OBJECTS = { image: 1, price: 3, parent: 2 };
 
-    const data = await response.json();
-    
-    // Transform the data to include only what we need
-    const transformedData = {
-      posts: data.data.map(post => ({
-        id: post.id,
-        caption: post.caption,
-        mediaType: post.media_type,
-        mediaUrl: post.media_url,
-        permalink: post.permalink
-      })),
-      paging: data.paging
-    };
+// Largest page of collection products that fits the budget with `fields`
+function collectionPageSize(fields) {
+  return pageSizeWithinBudget(fields.reduce((total, field) => total + COLLECTION_FIELD_OBJECTS[field], COLLECTION_NODE_OBJECTS));
+}
 
-    setCachedValue(instagramCache, store.storeKey, transformedData);
+// Every product in a collection, one page after another
+async function fetchCollectionExport(store, handle, { after, sort, reverse, fields, tag }) {
+  const result = await fetchAllPages(async (cursor) => {
+    const page = await fetchCollectionPage(store, handle, collectionPageSize(fields), cursor, { sort, reverse, fields, tag });
+    return page && { ...page, items: page.products };
+  }, { after, maxPages: MAX_COLLECTION_EXPORT_PAGES });
 
-    // Cache the response for 24 hours
-    res.set('Cache-Control', 'public, max-age=86400');
-    res.json(transformedData);
+  if (!result) return null;
+  return {
+    id: result.firstPage.id,
+    title: result.firstPage.title,
+    handle: result.firstPage.handle,
+    products: result.items,
+    pageInfo: result.pageInfo,
+    truncated: result.truncated
+  };
+}
 
-  } catch (error) {
-    const normalizedStoreKey = normalizeInstagramStore(storeKey);
-    const cachedFeed = getCachedValue(instagramCache, normalizedStoreKey);
+// Filters on fields Shopify can't filter collection products by; they apply to
+// the fetched products, so a filtered page can hold fewer than `limit`
+function matchesCollectionFilters(product, { application, productType, available, minPrice, maxPrice }) {
+  if (application && (product.application || '').toLowerCase() !== application.toLowerCase()) return false;
+  if (productType && (product.productType || '').toLowerCase() !== productType.toLowerCase()) return false;
+  if (available !== null && product.available !== available) return false;
+  if (minPrice !== null && !(product.price && product.price.min >= minPrice)) return false;
+  if (maxPrice !== null && !(product.price && product.price.min <= maxPrice)) return false;
+  return true;
+}
 
-    if (cachedFeed.data) {
-      return res.json(cachedFeed.data);
-    }
+const COLLECTION_QUERY_SCHEMA = {
+  limit: optional(integer({ min: 1, max: MAX_COLLECTION_PAGE_SIZE })),
+  after: optional(cursor()),
+  all: optional(boolean(), false),
+  sort: optional(oneOf(Object.keys(COLLECTION_SORTS)), 'collection-default'),
+  reverse: optional(boolean(), false),
+  fields: optional(commaList(oneOf(COLLECTION_EXTRA_FIELDS), { max: COLLECTION_EXTRA_FIELDS.length }), []),
+  application: optional(string()),
+  productType: optional(string()),
+  available: optional(boolean()),
+  minPrice: optional(number({ min: 0 })),
+  maxPrice: optional(number({ min: 0 }))
+};
 
-    console.error('Error fetching Instagram feed:', error);
-    return res.status(error.statusCode || 500).json({
-      error: error.message || 'Failed to fetch Instagram feed',
-      ...(error.details ? { details: error.details } : {})
-    });
-  }
+function collectionCost(req) {
+  if (req.query.all === 'true') return MAX_COLLECTION_EXPORT_PAGES;
+  return Math.ceil(Math.min(Number(req.query.limit) || MAX_COLLECTION_PAGE_SIZE, MAX_COLLECTION_PAGE_SIZE) / 50);
 }
 
-// Instagram feed endpoints
-app.get('/instagram', (req, res) => handleInstagramRequest(req, res, 'tilemart'));
-app.get('/instagram/elittile', (req, res) => handleInstagramRequest(req, res, 'elittile'));
-
-// Enhanced version with better error handling and logging
-app.get('/collection/:handle', async (req, res) => {
+// One page of a collection's products, or every page with ?all=true.
+// Filters: application, productType, available, minPrice/maxPrice (lowest
+// variant price). Sorting: sort=<COLLECTION_SORTS key>, reverse=true. Extra
+// fields: fields=image,price,parent. Extra fields (and price filters, which
+// fetch prices) make pages smaller, and `limit` is capped to match; pageInfo
+// leads on to the rest.
+storeRoutes.get('/collection/:handle', access.public, rateLimit(collectionCost), validate({
+  params: { handle: handle() },
+  query: COLLECTION_QUERY_SCHEMA
+}), async (req, res, next) => {
   try {
-    const { handle } = req.params;
-    const first = parseInt(req.query.limit) || 250;
-    const after = req.query.after || null;
+    const { handle } = req.valid.params;
+    const { after, all, sort, reverse, application, productType, available, minPrice, maxPrice } = req.valid.query;
+    // Price filters need prices even when they aren't asked for
+    const fields = [...new Set([...req.valid.query.fields, ...(minPrice !== null || maxPrice !== null ? ['price'] : [])])].sort();
+    const limit = Math.min(req.valid.query.limit ?? MAX_COLLECTION_PAGE_SIZE, collectionPageSize(fields));
+
+    const options = { after, sort, reverse, fields };
+    const cacheKey = `collection:${req.store.storeKey}:${handle}:${createHash('sha1')
+      .update(JSON.stringify({ ...options, limit: all ? 'all' : limit }))
+      .digest('hex')}`;
+
+    const collection = await cache.wrap(cacheKey, CACHE_TTLS.collection, ({ tag }) => all
+      ? fetchCollectionExport(req.store, handle, { ...options, tag })
+      : fetchCollectionPage(req.store, handle, limit, after, { ...options, tag })
+    );
+
+    if (!collection) {
+      throw new ApiError('NOT_FOUND', 'Collection not found', { details: { handle } });
+    }
 
-    console.log('Fetching collection with handle:', handle);
-    console.log('Query parameters:', { first, after });
+    const filters = { application, productType, available, minPrice, maxPrice };
+    const products = collection.products
+      .filter(product => matchesCollectionFilters(product, filters))
+      // Prices fetched only for filtering stay out of the response
+      .map(product => {
+        if (req.valid.query.fields.includes('price')) return product;
+        const { price, ...withoutPrice } = product;
+        return withoutPrice;
+      });
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({ ...collection, products, count: products.length });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Products with just what the tile finder shows and filters on. Each
+// metafield facet is fetched under a `facet_<id>` alias, so pages get smaller
+// as facets are added: a node is the product, its image, price range and
+// minimum price, plus one metafield per facet.
+const FACET_INDEX_PAGE_SIZE = pageSizeWithinBudget(4 + facetConfig.facets.filter(facet => facet.metafield).length);
 
-    // Modified query to include error checking
-    const PAGINATED_COLLECTION_QUERY = `
-      query GetProductsWithMetafields($collectionHandle: String!, $first: Int!, $after: String) {
-        collectionByHandle(handle: $collectionHandle) {
+const FACET_INDEX_QUERY = `
+  query GetCollectionFacetIndex($collectionHandle: String!, $first: Int!, $after: String) {
+    collectionByHandle(handle: $collectionHandle) {
+      id
+      title
+      handle
+      products(first: $first, after: $after) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
           id
           title
           handle
-          products(first: $first, after: $after) {
-            pageInfo {
-              hasNextPage
-              endCursor
-            }
-            nodes {
-              id
-              title
-              handle
-              metafield(namespace: "primary", key: "application") {
-                value
-              }
+          tags
+          totalInventory
+          tracksInventory
+          featuredImage {
+            url
+          }
+          priceRangeV2 {
+            minVariantPrice {
+              amount
+              currencyCode
             }
           }
+          ${facetConfig.facets
+            .filter(facet => facet.metafield)
+            .map(facet => `facet_${facet.id}: metafield(namespace: "${facet.metafield.namespace}", key: "${facet.metafield.key}") {
+            value
+          }`)
+            .join('\n          ')}
         }
       }
-    `;
-
-    console.log('Executing GraphQL query...');
-    const response = await client.request(PAGINATED_COLLECTION_QUERY, {
-      variables: {
-        collectionHandle: handle,
-        first: first,
-        after: after
-      }
-    });
+    }
+  }
+`;
 
-    console.log('GraphQL Response:', JSON.stringify(response, null, 2));
-
-    if (!response.data?.collectionByHandle) {
-      console.log('Collection not found in response:', response);
-      return res.status(404).json({
-        error: 'Collection not found',
-        handle: handle,
-        debug: {
-          responseData: response.data,
-          shopUrl: SHOP_URL,
-          timestamp: new Date().toISOString()
-        }
+function toFacetIndexProduct(product) {
+  const metafields = Object.fromEntries(facetConfig.facets.map(facet => [facet.id, product[`facet_${facet.id}`]?.value]));
+  return {
+    id: product.id,
+    title: product.title,
+    handle: product.handle,
+    featuredImage: product.featuredImage?.url || null,
+    price: product.priceRangeV2 ? {
+      min: Number(product.priceRangeV2.minVariantPrice.amount),
+      currency: product.priceRangeV2.minVariantPrice.currencyCode
+    } : null,
+    available: !product.tracksInventory || product.totalInventory > 0,
+    facets: productFacetValues(facetConfig, { tags: product.tags, metafields })
+  };
+}
+
+// Every product in a collection with its facet values, or null when the
+// collection doesn't exist. Cached, and invalidated by collection and product
+// webhooks, so clicking through facets doesn't query Shopify.
+async function getFacetIndex(store, handle) {
+  const configHash = createHash('sha1').update(JSON.stringify(facetConfig)).digest('hex').slice(0, 8);
+  return cache.wrap(`facet-index:${store.storeKey}:${handle}:${configHash}`, CACHE_TTLS.facetIndex, async ({ tag }) => {
+    const result = await fetchAllPages(async (after) => {
+      const response = await getShopifyClient(store).request(FACET_INDEX_QUERY, {
+        variables: { collectionHandle: handle, first: FACET_INDEX_PAGE_SIZE, after }
       });
+      const collection = response.data?.collectionByHandle;
+      if (!collection) return null;
+
+      tag(
+        cacheTag(store, 'collection', collection.handle),
+        ...collection.products.nodes.map(product => cacheTag(store, 'product', product.handle))
+      );
+      return { collection, items: collection.products.nodes, pageInfo: collection.products.pageInfo };
+    }, { maxPages: MAX_COLLECTION_EXPORT_PAGES });
+
+    if (!result) return null;
+    if (result.truncated) {
+      getLogger().warn('Facet index truncated', { store: store.storeKey, handle, products: result.items.length });
     }
 
-    const collection = response.data.collectionByHandle;
-    const transformedData = {
+    const { collection } = result.firstPage;
+    return {
       id: collection.id,
       title: collection.title,
       handle: collection.handle,
-      products: collection.products.nodes.map(product => ({
-        id: product.id,
-        title: product.title,
-        handle: product.handle,
-        application: product.metafield?.value || null
-      })),
-      pageInfo: collection.products.pageInfo
+      products: result.items.map(toFacetIndexProduct),
+      truncated: result.truncated,
+      indexedAt: new Date().toISOString()
     };
+  });
+}
 
-    res.set('Cache-Control', 'public, max-age=300');
-    console.log('Successfully transformed collection data:', transformedData);
-    res.json(transformedData);
+const DEFAULT_FACET_PRODUCT_LIMIT = 48;
+const MAX_FACET_VALUES_SELECTED = 50;
+
+// Selected values per facet, e.g. ?application=Floor&finish=Matte,Polished
+const FACET_QUERY_SCHEMA = {
+  limit: optional(integer({ min: 0, max: MAX_COLLECTION_PAGE_SIZE }), DEFAULT_FACET_PRODUCT_LIMIT),
+  offset: optional(integer({ min: 0 }), 0),
+  ...Object.fromEntries(facetConfig.facets.map(facet => [
+    facet.id,
+    optional(commaList(string({ maxLength: 100 }), { max: MAX_FACET_VALUES_SELECTED }), [])
+  ]))
+};
 
-  } catch (error) {
-    console.error('Detailed error fetching collection products:', {
-      error: error.message,
-      stack: error.stack,
-      handle: req.params.handle,
-      response: error.response?.data,
-      extensions: error.extensions
+// Facet values with counts for a collection, and the products matching the
+// selected values (limit/offset page through them; limit=0 returns counts only)
+storeRoutes.get('/collection/:handle/facets', access.public, rateLimit(), validate({
+  params: { handle: handle() },
+  query: FACET_QUERY_SCHEMA
+}), async (req, res, next) => {
+  try {
+    const { handle } = req.valid.params;
+    const { limit, offset } = req.valid.query;
+
+    const index = await getFacetIndex(req.store, handle);
+    if (!index) {
+      throw new ApiError('NOT_FOUND', 'Collection not found', { details: { handle } });
+    }
+
+    const selections = Object.fromEntries(facetConfig.facets.map(facet => [facet.id, req.valid.query[facet.id]]));
+    const { facets, products } = searchFacets(facetConfig, index.products, selections);
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({
+      id: index.id,
+      title: index.title,
+      handle: index.handle,
+      facets,
+      products: products.slice(offset, offset + limit),
+      total: products.length,
+      offset,
+      limit,
+      truncated: index.truncated,
+      indexedAt: index.indexedAt
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.status(500).json({
-      error: 'Failed to fetch collection products',
-      details: error.message || 'Unknown error',
-      handle: req.params.handle,
-      debug: {
-        errorType: error.constructor.name,
-        timestamp: new Date().toISOString(),
-        shopUrl: SHOP_URL
+const COLLECTIONS_QUERY = `
+  query GetCollections($first: Int!, $after: String) {
+    collections(first: $first, after: $after) {
+      nodes {
+        id
+        handle
+        title
+        productsCount
+        updatedAt
       }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+    shop {
+      name
+      id
+    }
+  }
+`;
+
+const MAX_COLLECTIONS_PAGES = 20;
+
+// Every collection in the store, following pagination up to MAX_COLLECTIONS_PAGES
+// pages; `truncated` and `pageInfo.endCursor` (pass back as ?after=) cover the rest
+storeRoutes.get('/collections', access.key('collections:read'), rateLimit(() => MAX_COLLECTIONS_PAGES), validate({
+  query: { after: optional(cursor()) }
+}), async (req, res, next) => {
+  try {
+    let shop = null;
+    const result = await fetchAllPages(async (after) => {
+      const response = await getShopifyClient(req.store).request(COLLECTIONS_QUERY, {
+        variables: { first: MAX_COLLECTION_PAGE_SIZE, after }
+      });
+      if (!response.data?.collections) return null;
+
+      shop = response.data.shop;
+      return { items: response.data.collections.nodes, pageInfo: response.data.collections.pageInfo };
+    }, { after: req.valid.query.after, maxPages: MAX_COLLECTIONS_PAGES });
+
+    if (!result) {
+      throw new ApiError('NOT_FOUND', 'No collections found');
+    }
+
+    const collections = result.items.map(node => ({
+      id: node.id,
+      handle: node.handle,
+      title: node.title,
+      productsCount: node.productsCount,
+      updatedAt: node.updatedAt
+    }));
+
+    res.json({
+      collections,
+      count: collections.length,
+      pageInfo: result.pageInfo,
+      truncated: result.truncated,
+      shop,
+      timestamp: new Date().toISOString()
     });
+
+  } catch (error) {
+    next(error);
   }
 });
 
-// Modify the collections endpoint with a simpler query and better error handling
-app.get('/collections', async (req, res) => {
-  try {
-    // Updated query with better error handling
-    const COLLECTIONS_QUERY = `
-      query GetCollections {
-        collections(first: 50) {
-          edges {
-            node {
-              id
-              handle
-              title
-              productsCount
-              updatedAt
-            }
+// Product search. Each store gets an in-process index, kept current by
+// fetching only products updated since the last run (see refreshSearchIndex).
+// Every run saves the indexed documents to the shared cache, so a new instance
+// starts from there instead of crawling the catalog; only when nothing is saved
+// yet does the first request start a full build and get a 503 until it's done.
+const SEARCH_PAGE_SIZE = 25;
+const SEARCH_INDEX_MAX_PAGES = 400;
+const SEARCH_INDEX_REFRESH_INTERVAL = (Number(process.env.SEARCH_INDEX_REFRESH_SECONDS) || 15 * 60) * 1000;
+const SEARCH_INDEX_BUILD_RETRY_SECONDS = 30;
+
+// Kept small per product: variants x metafields multiplies the query cost
+const SEARCH_PRODUCTS_QUERY = `
+  query GetSearchProducts($first: Int!, $after: String, $query: String) {
+    products(first: $first, after: $after, query: $query, sortKey: UPDATED_AT) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        id
+        handle
+        title
+        productType
+        status
+        updatedAt
+        featuredImage {
+          url
+        }
+        variants(first: 10) {
+          nodes {
+            sku
           }
-          pageInfo {
-            hasNextPage
-            endCursor
+        }
+        custom: metafields(first: 10, namespace: "custom") {
+          nodes {
+            value
           }
         }
-        shop {
-          name
-          id
+        primary: metafields(first: 10, namespace: "primary") {
+          nodes {
+            value
+          }
         }
       }
-    `;
+    }
+  }
+`;
 
-    console.log('Attempting to fetch collections...');
-    console.log('Shop URL:', SHOP_URL);
-    console.log('Access Token length:', SHOPIFY_ACCESS_TOKEN?.length);
-    console.log('GraphQL Endpoint:', `https://${SHOP_URL}/admin/api/2024-01/graphql.json`);
+// Searchable text from metafield values; references and JSON objects are skipped
+function searchableMetafieldValues(metafields) {
+  return metafields.nodes
+    .flatMap(({ value }) => metafieldValues(value))
+    .filter(value => !value.startsWith('gid://') && !value.startsWith('{'));
+}
 
-    const response = await client.request(COLLECTIONS_QUERY);
-    
-    console.log('Raw GraphQL Response:', JSON.stringify(response, null, 2));
-
-    if (!response.data?.collections?.edges) {
-      return res.status(404).json({
-        error: 'No collections found',
-        debug: {
-          responseData: response.data,
-          shopUrl: SHOP_URL,
-          timestamp: new Date().toISOString(),
-          hasToken: !!SHOPIFY_ACCESS_TOKEN,
-          shopInfo: response.data?.shop
+function toSearchDocument(product) {
+  const skus = product.variants.nodes.map(variant => variant.sku).filter(Boolean);
+  return {
+    id: product.id,
+    fields: {
+      title: product.title,
+      handle: product.handle.replace(/-/g, ' '),
+      sku: skus,
+      productType: product.productType,
+      metafields: [...searchableMetafieldValues(product.custom), ...searchableMetafieldValues(product.primary)]
+    },
+    data: {
+      handle: product.handle,
+      title: product.title,
+      productType: product.productType || null,
+      skus,
+      featuredImage: product.featuredImage?.url || null
+    }
+  };
+}
+
+const searchIndexes = new Map();
+
+function searchIndexState(store) {
+  if (!searchIndexes.has(store.storeKey)) {
+    searchIndexes.set(store.storeKey, {
+      index: createSearchIndex(),
+      builtAt: null,
+      refreshedAt: null,
+      updatedSince: null,
+      refreshing: null,
+      restoring: null
+    });
+  }
+  return searchIndexes.get(store.storeKey);
+}
+
+function searchIndexCacheKey(store) {
+  return `search-index:${store.storeKey}`;
+}
+
+// Take over the index saved in the shared cache when it is newer than this
+// instance's. Returns whether it did.
+async function restoreSearchIndex(store) {
+  const state = searchIndexState(store);
+  const saved = await cache.get(searchIndexCacheKey(store));
+  if (!saved || (state.refreshedAt && saved.refreshedAt <= state.refreshedAt)) return false;
+
+  const index = createSearchIndex();
+  saved.documents.forEach(document => index.upsert(document));
+  Object.assign(state, {
+    index,
+    builtAt: saved.builtAt,
+    refreshedAt: saved.refreshedAt,
+    updatedSince: saved.updatedSince
+  });
+  return true;
+}
+
+// Update a store's index. A full rebuild indexes every active product into a
+// fresh index and swaps it in, which also drops deleted products. Otherwise
+// the index starts from the shared cache's copy when another instance saved a
+// newer one, and only products updated since are fetched; ones no longer
+// active are removed. Concurrent calls share the run in progress.
+function refreshSearchIndex(store, { full = false } = {}) {
+  const state = searchIndexState(store);
+  if (state.refreshing) return state.refreshing;
+
+  state.refreshing = (async () => {
+    const startedAt = Date.now();
+    if (!full) await restoreSearchIndex(store);
+    const incremental = !full && state.builtAt !== null;
+    const index = incremental ? state.index : createSearchIndex();
+    let updatedSince = incremental ? state.updatedSince : null;
+    let updated = 0;
+    let removed = 0;
+
+    const result = await fetchAllPages(async (after) => {
+      const response = await getShopifyClient(store).request(SEARCH_PRODUCTS_QUERY, {
+        variables: {
+          first: SEARCH_PAGE_SIZE,
+          after,
+          query: incremental && updatedSince ? `updated_at:>${shopifySearchValue(updatedSince)}` : 'status:active'
         }
       });
+      const products = response.data?.products;
+      return products && { items: products.nodes, pageInfo: products.pageInfo };
+    }, { maxPages: SEARCH_INDEX_MAX_PAGES });
+
+    for (const product of result?.items || []) {
+      if (product.status === 'ACTIVE') {
+        index.upsert(toSearchDocument(product));
+        updated += 1;
+      } else if (index.remove(product.id)) {
+        removed += 1;
+      }
+      if (!updatedSince || product.updatedAt > updatedSince) updatedSince = product.updatedAt;
     }
 
-    const collections = response.data.collections.edges.map(edge => ({
-      id: edge.node.id,
-      handle: edge.node.handle,
-      title: edge.node.title,
-      productsCount: edge.node.productsCount,
-      updatedAt: edge.node.updatedAt
-    }));
+    if (result?.truncated) {
+      getLogger().warn('Search index build stopped at the page limit', { store: store.storeKey, products: result.items.length });
+    }
 
-    res.json({
-      collections,
-      count: collections.length,
-      shop: response.data.shop,
-      timestamp: new Date().toISOString(),
-      debug: {
-        shopUrl: SHOP_URL,
-        apiVersion: '2024-01'
-      }
+    state.index = index;
+    state.updatedSince = updatedSince;
+    state.refreshedAt = new Date().toISOString();
+    if (!incremental) state.builtAt = state.refreshedAt;
+
+    await cache.set(searchIndexCacheKey(store), {
+      documents: index.documents(),
+      builtAt: state.builtAt,
+      refreshedAt: state.refreshedAt,
+      updatedSince
+    }, CACHE_TTLS.searchIndex);
+
+    const summary = {
+      store: store.storeKey,
+      full: !incremental,
+      updated,
+      removed,
+      documents: index.size,
+      durationMs: Date.now() - startedAt
+    };
+    getLogger().info('Search index refreshed', summary);
+    return { ...summary, builtAt: state.builtAt, refreshedAt: state.refreshedAt };
+  })().finally(() => {
+    state.refreshing = null;
+  });
+
+  return state.refreshing;
+}
+
+function refreshSearchIndexInBackground(store, options) {
+  refreshSearchIndex(store, options)
+    .catch(error => getLogger().error('Background search index refresh failed', { store: store.storeKey, error: error.message }));
+}
+
+// The store's index, refreshed in the background once stale. A cold instance
+// takes the copy saved in the shared cache; without one, a full build starts
+// in the background and the request gets a 503 with Retry-After meanwhile.
+async function getSearchIndex(store) {
+  const state = searchIndexState(store);
+  if (!state.builtAt && !state.refreshing) {
+    state.restoring ||= restoreSearchIndex(store).finally(() => {
+      state.restoring = null;
     });
+    await state.restoring;
+  }
 
-  } catch (error) {
-    console.error('Detailed collections error:', {
-      message: error.message,
-      response: error.response?.errors,
-      extensions: error.extensions,
-      networkStatus: error.networkStatusCode
+  if (!state.builtAt) {
+    if (!state.refreshing) refreshSearchIndexInBackground(store, { full: true });
+    throw new ApiError('UPSTREAM_UNAVAILABLE', 'The search index is being built, try again shortly', {
+      headers: { 'Retry-After': String(SEARCH_INDEX_BUILD_RETRY_SECONDS) }
     });
+  }
 
-    res.status(error.networkStatusCode || 500).json({
-      error: 'Failed to fetch collections',
-      details: error.message,
-      debug: {
-        errorType: error.constructor.name,
-        shopUrl: SHOP_URL,
-        timestamp: new Date().toISOString(),
-        hasToken: !!SHOPIFY_ACCESS_TOKEN,
-        tokenLength: SHOPIFY_ACCESS_TOKEN?.length,
-        graphQLErrors: error.response?.errors || [],
-        networkStatusCode: error.networkStatusCode
-      }
+  if (Date.now() - Date.parse(state.refreshedAt) > SEARCH_INDEX_REFRESH_INTERVAL) {
+    refreshSearchIndexInBackground(store);
+  }
+  return state.index;
+}
+
+const MAX_SEARCH_RESULTS = 50;
+const MAX_AUTOCOMPLETE_RESULTS = 10;
+
+// Search results with the price and "from $X/sq.ft" of their first variant
+async function withSearchPrices(store, results) {
+  let prices = new Map();
+  try {
+    prices = await getBatchPriceInfo(store, results.map(result => result.data.handle));
+  } catch (error) {
+    // Results are still useful without prices
+    getLogger().error('Search price enrichment failed', { error: error.message });
+  }
+
+  return results.map(({ data, score }) => {
+    const found = prices.get(data.handle);
+    const priceInfo = found instanceof Error ? null : found;
+    return {
+      ...data,
+      score,
+      price: priceInfo ? {
+        current: priceInfo.currentPrice,
+        compareAt: priceInfo.compareAtPrice,
+        currency: priceInfo.currency,
+        onSale: priceInfo.onSale,
+        pricePerSqFt: priceInfo.pricePerSqFt?.current ?? null,
+        fromPricePerSqFt: priceInfo.fromPricePerSqFt
+      } : null
+    };
+  });
+}
+
+// Typo-tolerant product search over titles, handles, SKUs, product types and
+// custom/primary metafields, e.g. ?q=12x24 porcelin
+storeRoutes.get('/search', access.public, rateLimit(req => 1 + Math.ceil(Math.min(Number(req.query.limit) || 20, MAX_SEARCH_RESULTS) / BATCH_PRICE_CHUNK_SIZE)), validate({
+  query: {
+    q: string({ maxLength: 200 }),
+    limit: optional(integer({ min: 1, max: MAX_SEARCH_RESULTS }), 20)
+  }
+}), async (req, res, next) => {
+  try {
+    const { q, limit } = req.valid.query;
+    const index = await getSearchIndex(req.store);
+    const results = await withSearchPrices(req.store, index.search(q, { limit }));
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({ query: q, results, count: results.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Search-as-you-type suggestions; the last word matches by prefix
+storeRoutes.get('/search/autocomplete', access.public, rateLimit(), validate({
+  query: {
+    q: string({ maxLength: 200 }),
+    limit: optional(integer({ min: 1, max: MAX_AUTOCOMPLETE_RESULTS }), 5)
+  }
+}), async (req, res, next) => {
+  try {
+    const { q, limit } = req.valid.query;
+    const index = await getSearchIndex(req.store);
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({
+      query: q,
+      suggestions: index.search(q, { limit, prefix: true }).map(({ data }) => ({
+        handle: data.handle,
+        title: data.title,
+        featuredImage: data.featuredImage
+      }))
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update the search index now: only recent changes, or everything with ?full=true
+storeRoutes.post('/admin/search/rebuild', access.admin, validate({
+  query: { full: optional(boolean(), false) }
+}), async (req, res, next) => {
+  try {
+    res.json(await refreshSearchIndex(req.store, { full: req.valid.query.full }));
+  } catch (error) {
+    next(error);
   }
 });
 
+app.use('/stores/:store', storeRoutes);
+app.use(storeRoutes);
+
+app.use((req, res, next) => {
+  next(new ApiError('NOT_FOUND', `No route for ${req.method} ${req.path}`));
+});
+
+// Debug details (stack, upstream responses, missing configuration) go to
+// admin keys sending `X-Debug: 1`, or to everyone when DEBUG_ERRORS=true
+function canSeeDebugInfo(req) {
+  if (process.env.DEBUG_ERRORS === 'true') return true;
+  return req.get('X-Debug') === '1' && !!access.identify(req)?.scopes.includes(ADMIN_SCOPE);
+}
+
+app.use(createErrorHandler({ logger: () => getLogger(), canDebug: canSeeDebugInfo }));
+
 app.listen(PORT, () => {
-  console.log(`App running on port ${PORT}`);
+  logger.info('App running', { port: Number(PORT) });
 });
@@ -0,0 +1,121 @@
+// Structured JSON logging.
+//
+// Each line is one JSON object: { time, level, msg, ...fields }. Loggers are
+// console-compatible for the common `logger.error('message', { fields })`
+// call, and `child(fields)` adds fields to every line, which is how the
+// request ID ends up on everything logged while handling a request.
+//
+// Secrets and personal data are redacted before writing: values under
+// sensitive keys (tokens, secrets, authorization, email, phone, ...) and
+// email addresses, phone numbers and access_token query parameters found
+// inside any string.
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SENSITIVE_KEY = /token|secret|password|authorization|cookie|api[-_]?key|hmac|signature|^email$|^phone$/i;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+// International (+15551234567) or separated (555-123-4567, (555) 123 4567) numbers
+const PHONE_PATTERN = /\+\d{10,15}\b|\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g;
+const TOKEN_PARAM_PATTERN = /((?:access_)?token=)[^&\s"]+/gi;
+const MAX_DEPTH = 6;
+
+function redactString(value) {
+  return value
+    .replace(TOKEN_PARAM_PATTERN, '$1[REDACTED]')
+    .replace(EMAIL_PATTERN, '[REDACTED_EMAIL]')
+    .replace(PHONE_PATTERN, '[REDACTED_PHONE]');
+}
+
+// Copy of `value` that is safe to log
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      ...(value.statusCode ? { statusCode: value.statusCode } : {}),
+      stack: value.stack
+    }, depth);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) && item !== null && item !== undefined && typeof item !== 'boolean'
+      ? '[REDACTED]'
+      : redact(item, depth + 1)
+  ]));
+}
+
+export function createLogger({
+  level = 'info',
+  fields = {},
+  write = line => process.stdout.write(`${line}\n`)
+} = {}) {
+  const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+
+  function log(lineLevel, msg, extra) {
+    if (LOG_LEVELS[lineLevel] < threshold) return;
+    // Console-style calls may pass a bare value instead of a fields object
+    const extraFields = extra === undefined ? {}
+      : extra instanceof Error ? { error: extra }
+      : typeof extra === 'object' && extra !== null ? extra
+      : { detail: extra };
+
+    write(JSON.stringify(redact({
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      ...fields,
+      ...extraFields
+    })));
+  }
+
+  return {
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    child: childFields => createLogger({ level, fields: { ...fields, ...childFields }, write })
+  };
+}
+
+// Per-request context (request ID and logger) that follows async calls
+const requestContext = new AsyncLocalStorage();
+
+export function runWithRequestContext(context, callback) {
+  return requestContext.run(context, callback);
+}
+
+export function currentRequestContext() {
+  return requestContext.getStore();
+}
+
+// Time an upstream call and log it with the service, operation and outcome.
+// `describe(result)` can add fields from the result (e.g. status, query cost).
+export async function timeUpstream(logger, service, operation, call, describe = () => ({})) {
+  const startedAt = process.hrtime.bigint();
+  const elapsed = () => Number((process.hrtime.bigint() - startedAt) / 1000000n);
+
+  try {
+    const result = await call();
+    logger.info('Upstream call', { upstream: service, operation, durationMs: elapsed(), ...describe(result) });
+    return result;
+  } catch (error) {
+    logger.warn('Upstream call failed', {
+      upstream: service,
+      operation,
+      durationMs: elapsed(),
+      status: error.response?.status ?? error.networkStatusCode,
+      error: error.message
+    });
+    throw error;
+  }
+}
@@ -0,0 +1,197 @@
+// Rate limiting: token buckets for our own clients, and a mirror of
+// Shopify's GraphQL cost bucket so we slow down before Shopify throttles us.
+//
+// Buckets live in process memory, so each instance enforces its limits
+// separately.
+
+import { ApiError } from './errors.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Token buckets keyed by client. Each bucket holds up to `burst` tokens and
+// refills at `perSecond`; a request costs one or more tokens.
+export function createTokenBucketLimiter({ burst, perSecond, now = () => Date.now(), maxBuckets = 10000 }) {
+  const buckets = new Map();
+
+  function refill(bucket, at) {
+    const elapsed = (at - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(burst, bucket.tokens + elapsed * perSecond);
+    bucket.updatedAt = at;
+  }
+
+  // Drop full buckets (idle clients) once the map gets large
+  function prune(at) {
+    if (buckets.size < maxBuckets) return;
+    for (const [key, bucket] of buckets) {
+      refill(bucket, at);
+      if (bucket.tokens >= burst) buckets.delete(key);
+    }
+  }
+
+  // Try to spend `cost` tokens. Returns the outcome plus what the RateLimit headers need.
+  function take(key, cost = 1) {
+    const at = now();
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      prune(at);
+      bucket = { tokens: burst, updatedAt: at };
+      buckets.set(key, bucket);
+    }
+    refill(bucket, at);
+
+    const allowed = cost <= bucket.tokens;
+    if (allowed) {
+      bucket.tokens -= cost;
+    }
+
+    const missing = Math.max(0, Math.min(cost, burst) - bucket.tokens);
+    return {
+      allowed,
+      limit: burst,
+      remaining: Math.floor(bucket.tokens),
+      // Seconds until the bucket is full again / until this request would fit
+      reset: Math.ceil((burst - bucket.tokens) / perSecond),
+      retryAfter: allowed ? 0 : Math.max(1, Math.ceil(missing / perSecond))
+    };
+  }
+
+  return { take, burst, perSecond };
+}
+
+// Express middleware charging `cost(req)` tokens to the client's bucket;
+// `clientFor(req)` returns { key, limiter }. Sets RateLimit-* headers (IETF
+// draft) and fails with RATE_LIMITED and Retry-After when the bucket is empty.
+export function createRateLimitMiddleware({ clientFor }) {
+  return (cost = () => 1) => (req, res, next) => {
+    const { key, limiter } = clientFor(req);
+    const result = limiter.take(key, Math.max(1, cost(req) || 1));
+
+    res.set('RateLimit-Policy', `${limiter.burst};w=${Math.ceil(limiter.burst / limiter.perSecond)}`);
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    res.set('RateLimit-Reset', String(result.reset));
+
+    if (!result.allowed) {
+      return next(new ApiError('RATE_LIMITED', `Rate limit exceeded, retry in ${result.retryAfter}s`, {
+        headers: { 'Retry-After': String(result.retryAfter) }
+      }));
+    }
+    next();
+  };
+}
+
+function isThrottled(response) {
+  const errors = response?.errors;
+  return errors?.networkStatusCode === 429 ||
+    (errors?.graphQLErrors || []).some(error => error.extensions?.code === 'THROTTLED');
+}
+
+// Wraps a Shopify GraphQL client so requests wait while the shop's cost bucket
+// (as last reported in extensions.cost.throttleStatus) is too low for the
+// query, and a THROTTLED response is retried once after waiting. Until the
+// shop has reported its bucket, requests go out one at a time.
+export function createShopifyThrottle(client, {
+  maxWait = 10 * 1000,
+  defaultCost = 50,
+  now = () => Date.now(),
+  logger = console
+} = {}) {
+  // Last known bucket, advanced by the restore rate between responses
+  let status = null;
+  // Cost reserved by requests sent (or waiting to be sent) but not yet
+  // answered; Shopify's reported bucket doesn't include them yet
+  let reserved = 0;
+  // Settles when the request sent while the bucket was unknown is answered
+  let firstRequest = null;
+  const queryCosts = new Map();
+
+  function available(at) {
+    if (!status) return Infinity;
+    const restored = ((at - status.updatedAt) / 1000) * status.restoreRate;
+    return Math.min(status.maximumAvailable, status.currentlyAvailable + restored) - reserved;
+  }
+
+  function waitFor(cost) {
+    if (!status) return 0;
+    const missing = Math.min(cost, status.maximumAvailable) - available(now());
+    return missing > 0 ? Math.ceil((missing / status.restoreRate) * 1000) : 0;
+  }
+
+  function record(query, response) {
+    const cost = response?.extensions?.cost;
+    if (!cost) return;
+    if (cost.requestedQueryCost) queryCosts.set(query, cost.requestedQueryCost);
+    if (cost.throttleStatus) {
+      status = { ...cost.throttleStatus, updatedAt: now() };
+    }
+  }
+
+  // Wait until the bucket can take `cost`, then reserve it. Resolves to a
+  // release function to call once the response is in.
+  async function pace(cost) {
+    while (!status && firstRequest) {
+      await firstRequest;
+    }
+
+    if (!status) {
+      let settle;
+      firstRequest = new Promise(resolve => {
+        settle = resolve;
+      });
+      return () => {
+        firstRequest = null;
+        settle();
+      };
+    }
+
+    const wait = waitFor(cost);
+    if (wait > maxWait) {
+      throw new ApiError('UPSTREAM_UNAVAILABLE', 'Shopify API budget exhausted, try again shortly', {
+        headers: { 'Retry-After': String(Math.ceil(wait / 1000)) }
+      });
+    }
+    // Reserve the cost up front so concurrent requests queue behind this one
+    reserved += cost;
+    if (wait > 0) {
+      logger.warn('Waiting for Shopify API budget', { waitMs: wait });
+      await delay(wait);
+    }
+    return () => {
+      reserved -= cost;
+    };
+  }
+
+  async function send(query, options) {
+    const release = await pace(queryCosts.get(query) ?? defaultCost);
+    try {
+      const response = await client.request(query, options);
+      // This request's actual cost is in the reported bucket from here on
+      release();
+      record(query, response);
+      return response;
+    } catch (error) {
+      release();
+      throw error;
+    }
+  }
+
+  async function request(query, options) {
+    let response = await send(query, options);
+
+    if (isThrottled(response)) {
+      // Shopify may not report a bucket on a 429; assume it is empty
+      if (!response.extensions?.cost?.throttleStatus && status) {
+        status = { ...status, currentlyAvailable: 0, updatedAt: now() };
+      }
+      if (!status) await delay(1000);
+      response = await send(query, options);
+    }
+
+    return response;
+  }
+
+  return {
+    request,
+    throttleStatus: () => status && { ...status, currentlyAvailable: Math.floor(available(now())) }
+  };
+}
@@ -0,0 +1,162 @@
+// Judge.me review set: the public view of a review and the sync that keeps
+// the cached set current.
+//
+// The set is stored as { records, newestUpdatedAt, lastFullSync, lastSync,
+// history }, where each record keeps what a merge needs next to the
+// sanitized review.
+
+const SYNC_HISTORY_LIMIT = 10;
+
+// Sanitize review data to only include public fields
+export const sanitizeReview = (review) => {
+  return {
+    rating: review.rating,
+    created_at: review.created_at,
+    product_handle: review.product_handle,
+    product_title: review.product_title,
+    title: review.title,
+    body: review.body,
+    reviewer: {
+      name: review.reviewer?.name
+    },
+    pictures: review.pictures?.map(pic => ({
+      urls: {
+        huge: pic.urls?.huge,
+        compact: pic.urls?.compact
+      }
+    })) || []
+  };
+};
+
+export function reviewTimestamp(review) {
+  return Date.parse(review.updated_at || review.created_at) || 0;
+}
+
+export function toReviewRecord(review) {
+  return {
+    id: review.id,
+    updatedAt: reviewTimestamp(review),
+    published: review.published === true,
+    review: sanitizeReview(review)
+  };
+}
+
+function newestFirst(a, b) {
+  return Date.parse(b.review.created_at) - Date.parse(a.review.created_at);
+}
+
+// Put one changed review (from a webhook) into a review set. The record is
+// stamped with when it changed so a sync running meanwhile can carry it over.
+export function applyReviewChange(state, record, changedAt = Date.now()) {
+  const records = state.records.filter(existing => existing.id !== record.id);
+  records.push({ ...record, changedAt });
+  records.sort(newestFirst);
+  return { ...state, records };
+}
+
+// A sync builds on the set as it was when the sync started. Before the result
+// replaces the cached set `current`, take over the changes applied to it
+// since `since`, so a webhook landing mid-sync isn't lost.
+export function carryOverReviewChanges(synced, current, since) {
+  return (current?.records || [])
+    .filter(record => record.changedAt >= since)
+    .reduce((state, record) => applyReviewChange(state, record, record.changedAt), synced);
+}
+
+// Sync the review set `previous` (undefined before the first sync) from
+// Judge.me, where `fetchPage(page)` returns one page of raw reviews.
+//
+// Judge.me returns the newest reviews first, and an edit doesn't move a
+// review up the list. An incremental sync therefore keeps paging until a
+// whole page holds nothing newer than the last change seen, which picks up
+// new reviews and edits to anything above that page. Edits further down come
+// in through the Judge.me webhooks, or at the latest with the next full sync
+// (every `fullSyncInterval` ms). A full sync walks every page and, when it
+// completes, replaces the set so deleted reviews drop out. Failed pages keep
+// whatever was merged so far and leave the watermark alone, so the next sync
+// picks up where this one broke.
+export async function syncReviewSet(previous, fetchPage, { full = false, pageSize, fullSyncInterval, logger = console }) {
+  const isFull = full || !previous ||
+    !previous.lastFullSync || (Date.now() - Date.parse(previous.lastFullSync)) > fullSyncInterval;
+  const watermark = isFull ? null : previous.newestUpdatedAt;
+
+  const result = {
+    type: isFull ? 'full' : 'incremental',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    pagesFetched: 0,
+    reviewsAdded: 0,
+    reviewsUpdated: 0,
+    reviewsRemoved: 0,
+    errors: []
+  };
+
+  const fetched = new Map();
+  let complete = false;
+  let page = 1;
+
+  try {
+    while (!complete) {
+      const pageReviews = await fetchPage(page);
+      result.pagesFetched++;
+
+      for (const review of pageReviews) {
+        fetched.set(review.id, toReviewRecord(review));
+      }
+
+      const pageAlreadySeen = watermark !== null &&
+        pageReviews.every(review => reviewTimestamp(review) <= watermark);
+
+      if (pageReviews.length < pageSize || pageAlreadySeen) {
+        complete = true;
+      } else {
+        page++;
+      }
+    }
+  } catch (error) {
+    logger.error('Review sync failed', { page, error: error.message });
+    result.errors.push({ page, message: error.message });
+
+    // Nothing to fall back on
+    if (!previous && fetched.size === 0) {
+      throw error;
+    }
+  }
+
+  const existing = new Map((previous?.records || []).map(record => [record.id, record]));
+  const merged = isFull && complete ? new Map() : new Map(existing);
+
+  for (const [id, record] of fetched) {
+    const current = existing.get(id);
+    if (!current) {
+      result.reviewsAdded++;
+    } else if (current.updatedAt !== record.updatedAt || current.published !== record.published) {
+      result.reviewsUpdated++;
+    }
+    merged.set(id, record);
+  }
+
+  if (isFull && complete) {
+    result.reviewsRemoved = [...existing.keys()].filter(id => !merged.has(id)).length;
+  }
+
+  const records = [...merged.values()].sort(newestFirst);
+
+  // Only advance the watermark when every page up to it was read
+  let newestUpdatedAt = previous?.newestUpdatedAt ?? null;
+  if (complete) {
+    for (const record of fetched.values()) {
+      newestUpdatedAt = Math.max(newestUpdatedAt ?? 0, record.updatedAt);
+    }
+  }
+
+  result.finishedAt = new Date().toISOString();
+
+  return {
+    records,
+    newestUpdatedAt,
+    lastFullSync: isFull && complete ? result.finishedAt : (previous?.lastFullSync ?? null),
+    lastSync: result,
+    history: [result, ...(previous?.history || [])].slice(0, SYNC_HISTORY_LIMIT)
+  };
+}
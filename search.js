@@ -0,0 +1,246 @@
+// In-process product search index.
+//
+// Documents are indexed per field with a weight, and queries match every
+// token against the index's terms exactly, by prefix (the last token, for
+// search-as-you-type) or within a small edit distance (typos such as
+// "porcelin"). Tile sizes are normalized to one token: 12x24, 12 x 24,
+// 12"x24", 24x12 and 12in x 24in all become "12x24", and a thickness
+// (12x24x3/8) is indexed on its own. A size still being typed at the end of a
+// query ("12x2") matches the sizes it could become. SKUs are also indexed
+// without their punctuation, so "CAL1224" finds CAL-1224.
+
+// Field weights: SKUs and titles count for more than descriptive metafields
+export const DEFAULT_FIELD_WEIGHTS = {
+  sku: 4,
+  title: 3,
+  productType: 1.5,
+  handle: 1,
+  metafields: 1
+};
+
+// Fields holding codes, indexed whole as well as split into words
+export const DEFAULT_IDENTIFIER_FIELDS = ['sku'];
+
+const MATCH_QUALITY = { exact: 1, prefix: 0.7 };
+const FUZZY_PENALTY_PER_EDIT = 0.25;
+const MIN_PREFIX_LENGTH = 2;
+
+const NUMBER = String.raw`\d+(?:\.\d+)?(?:/\d+)?`;
+const INCH_MARK = String.raw`(?:"|''|”|″|inch(?:es)?\b|in\b)?`;
+const DIMENSION = `${NUMBER}\\s*${INCH_MARK}(?:\\s*[x×*]\\s*${NUMBER}\\s*${INCH_MARK})+`;
+// Capturing, so splitting on it keeps the dimensions in place
+const DIMENSION_SPLIT = new RegExp(`(${DIMENSION})`, 'gi');
+const TRAILING_DIMENSION = new RegExp(`(${DIMENSION})$`, 'i');
+const NUMBER_PATTERN = new RegExp(NUMBER, 'g');
+
+// Lowercase and accent-free; "⅜" becomes "3/8"
+function normalize(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\u2044/g, '/')
+    .toLowerCase();
+}
+
+function sideValue(side) {
+  const [whole, divisor] = side.split('/');
+  return divisor ? Number(whole) / Number(divisor) : Number(whole);
+}
+
+// "24 x 12" -> 24, 12 and "12x24". The first two sides are the tile's face,
+// sorted so either orientation matches; any further side is a thickness.
+function dimensionTokens(text) {
+  const sides = text.match(NUMBER_PATTERN);
+  const face = sides.slice(0, 2).sort((a, b) => sideValue(a) - sideValue(b));
+  return [...face, face.join('x'), ...sides.slice(2)];
+}
+
+// Fractions such as 3/8 stay whole; other slashes separate words
+function wordTokens(text) {
+  return text
+    .split(/[^a-z0-9./]+/)
+    .flatMap(word => /^\d+\/\d+$/.test(word) ? [word] : word.split('/'))
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(Boolean);
+}
+
+// Lowercase, accent-free tokens in the order they appear, with dimensions
+// kept whole. Each side of a dimension is also a token, so "24" finds 12x24 tiles.
+export function tokenize(text) {
+  return normalize(text)
+    .split(DIMENSION_SPLIT)
+    .flatMap((part, index) => index % 2 === 1 ? dimensionTokens(part) : wordTokens(part));
+}
+
+// "CAL-1224" -> "cal1224"
+function compactIdentifier(text) {
+  return normalize(text).replace(/[^a-z0-9]/g, '');
+}
+
+// Edits allowed for a typo: none for short tokens or anything with digits
+// (12x24 vs 12x14 is a different tile, not a typo)
+function allowedEdits(token) {
+  if (/\d/.test(token) || token.length <= 3) return 0;
+  return token.length <= 6 ? 1 : 2;
+}
+
+// Optimal string alignment distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+// Create an empty index. Documents are { id, fields: { field: text | [text] }, data };
+// `data` is handed back with search results. `documents()` returns them as
+// given, so an index can be saved and rebuilt elsewhere with upsert.
+export function createSearchIndex({ fieldWeights = DEFAULT_FIELD_WEIGHTS, identifierFields = DEFAULT_IDENTIFIER_FIELDS } = {}) {
+  const documents = new Map();
+  // term -> Map(document id -> weight)
+  const postings = new Map();
+
+  function documentTerms(fields) {
+    const terms = new Map();
+    for (const [field, value] of Object.entries(fields)) {
+      const weight = fieldWeights[field] ?? 1;
+      const texts = Array.isArray(value) ? value : [value];
+      const tokens = texts.flatMap(tokenize);
+      if (identifierFields.includes(field)) tokens.push(...texts.map(compactIdentifier).filter(Boolean));
+      for (const token of tokens) {
+        terms.set(token, Math.max(terms.get(token) || 0, weight));
+      }
+    }
+    return terms;
+  }
+
+  function remove(id) {
+    const existing = documents.get(id);
+    if (!existing) return false;
+
+    for (const term of existing.terms.keys()) {
+      const posting = postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) postings.delete(term);
+    }
+    documents.delete(id);
+    return true;
+  }
+
+  function upsert({ id, fields, data }) {
+    remove(id);
+    const terms = documentTerms(fields);
+    documents.set(id, { fields, data, terms });
+    for (const [term, weight] of terms) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(id, weight);
+    }
+  }
+
+  // Terms that `token` can stand for, with how well each matches
+  function matchingTerms(token, { prefix }) {
+    const matches = [];
+    const edits = allowedEdits(token);
+    const usePrefix = prefix && token.length >= MIN_PREFIX_LENGTH;
+
+    for (const term of postings.keys()) {
+      if (term === token) {
+        matches.push([term, MATCH_QUALITY.exact]);
+      } else if (usePrefix && term.startsWith(token)) {
+        matches.push([term, MATCH_QUALITY.prefix]);
+      } else if (edits > 0) {
+        const distance = editDistance(token, term, edits);
+        if (distance <= edits) matches.push([term, 1 - distance * FUZZY_PENALTY_PER_EDIT]);
+      }
+    }
+    return matches;
+  }
+
+  // Sizes a size still being typed could become, in either orientation:
+  // 12 then 2 matches 12x24 and 2x12, 24 then 1 matches 12x24
+  function matchingSizes([first, typing]) {
+    const matches = [];
+    for (const term of postings.keys()) {
+      const sides = term.split('x');
+      if (sides.length !== 2) continue;
+
+      const [a, b] = sides;
+      if ((a === first && b === typing) || (b === first && a === typing)) {
+        matches.push([term, MATCH_QUALITY.exact]);
+      } else if ((a === first && b.startsWith(typing)) || (b === first && a.startsWith(typing))) {
+        matches.push([term, MATCH_QUALITY.prefix]);
+      }
+    }
+    return matches;
+  }
+
+  // Documents matching every query token, best first. With `prefix` the last
+  // token also matches longer terms it starts, and a size at the end of the
+  // query matches the sizes it could become.
+  function search(query, { limit = 20, prefix = true } = {}) {
+    const text = normalize(query);
+    const trailing = prefix ? TRAILING_DIMENSION.exec(text) : null;
+    const typedSize = trailing && trailing[1].match(NUMBER_PATTERN).length === 2
+      ? trailing[1].match(NUMBER_PATTERN)
+      : null;
+
+    const tokens = [...new Set(tokenize(typedSize ? text.slice(0, trailing.index) : text))];
+    const matchers = tokens.map((token, index) =>
+      () => matchingTerms(token, { prefix: prefix && !typedSize && index === tokens.length - 1 })
+    );
+    if (typedSize) matchers.push(() => matchingSizes(typedSize));
+    if (matchers.length === 0) return [];
+
+    let scores = null;
+    matchers.forEach((matcher) => {
+      const tokenScores = new Map();
+      for (const [term, quality] of matcher()) {
+        for (const [id, weight] of postings.get(term)) {
+          if (scores && !scores.has(id)) continue;
+          tokenScores.set(id, Math.max(tokenScores.get(id) || 0, weight * quality));
+        }
+      }
+
+      scores = scores
+        ? new Map([...tokenScores].map(([id, score]) => [id, scores.get(id) + score]))
+        : tokenScores;
+    });
+
+    return [...scores]
+      .sort(([idA, a], [idB, b]) => b - a || String(idA).localeCompare(String(idB)))
+      .slice(0, limit)
+      .map(([id, score]) => ({ id, score: Math.round(score * 100) / 100, data: documents.get(id).data }));
+  }
+
+  return {
+    upsert,
+    remove,
+    search,
+    has: id => documents.has(id),
+    ids: () => [...documents.keys()],
+    documents: () => [...documents].map(([id, { fields, data }]) => ({ id, fields, data })),
+    get size() {
+      return documents.size;
+    },
+    get termCount() {
+      return postings.size;
+    }
+  };
+}
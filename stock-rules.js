@@ -0,0 +1,179 @@
+// Stock notices driven by a rules file (stock-rules.json by default).
+//
+// Rules are checked in order and the first one whose `when` conditions all
+// hold supplies the notice. Conditions compare against the variant's product
+// status, product type, inventory management/policy and quantity:
+//
+//   "when": { "status": ["ACTIVE", "CLEARANCE"], "quantity": { "gt": 0, "lte": "lowStockThreshold" } }
+//
+// Values are matched case-insensitively, so "SHOPIFY" (the Admin API's enum)
+// and "shopify" both match an inventory managed by Shopify.
+//
+// Notice text may use {quantity} and {threshold} placeholders.
+
+import { loadJsonConfig } from './config-file.js';
+
+const MATCH_FIELDS = ['status', 'productType', 'management', 'policy'];
+const QUANTITY_OPERATORS = {
+  eq: (quantity, value) => quantity === value,
+  gt: (quantity, value) => quantity > value,
+  gte: (quantity, value) => quantity >= value,
+  lt: (quantity, value) => quantity < value,
+  lte: (quantity, value) => quantity <= value
+};
+const NOTICE_FIELDS = ['notice', 'subtext', 'color'];
+const PLACEHOLDERS = ['quantity', 'threshold'];
+const THRESHOLD_REFERENCE = 'lowStockThreshold';
+
+export const EMPTY_STOCK_NOTICE = { notice: '', subtext: '', color: '', hasBoldText: false };
+
+function validateWhen(when, at, problems) {
+  if (when === undefined) return;
+  if (!when || typeof when !== 'object' || Array.isArray(when)) {
+    problems.push(`${at}.when must be an object`);
+    return;
+  }
+
+  for (const [field, expected] of Object.entries(when)) {
+    if (field === 'quantity') {
+      if (!expected || typeof expected !== 'object' || Array.isArray(expected)) {
+        problems.push(`${at}.when.quantity must be an object of comparisons`);
+        continue;
+      }
+      for (const [operator, value] of Object.entries(expected)) {
+        if (!QUANTITY_OPERATORS[operator]) {
+          problems.push(`${at}.when.quantity.${operator} is not one of ${Object.keys(QUANTITY_OPERATORS).join(', ')}`);
+        } else if (!Number.isFinite(value) && value !== THRESHOLD_REFERENCE) {
+          problems.push(`${at}.when.quantity.${operator} must be a number or "${THRESHOLD_REFERENCE}"`);
+        }
+      }
+    } else if (!MATCH_FIELDS.includes(field)) {
+      problems.push(`${at}.when.${field} is not a known condition`);
+    } else {
+      const values = Array.isArray(expected) ? expected : [expected];
+      if (values.length === 0 || values.some(value => typeof value !== 'string' || !value)) {
+        problems.push(`${at}.when.${field} must be a non-empty string or list of strings`);
+      }
+    }
+  }
+}
+
+function validateNotice(notice, at, problems) {
+  if (!notice || typeof notice !== 'object' || Array.isArray(notice)) {
+    problems.push(`${at}.notice must be an object`);
+    return;
+  }
+
+  for (const field of Object.keys(notice)) {
+    if (![...NOTICE_FIELDS, 'hasBoldText'].includes(field)) {
+      problems.push(`${at}.notice.${field} is not a known notice field`);
+    }
+  }
+  for (const field of NOTICE_FIELDS) {
+    const value = notice[field];
+    if (value === undefined) continue;
+    if (typeof value !== 'string') {
+      problems.push(`${at}.notice.${field} must be a string`);
+      continue;
+    }
+    for (const [, name] of value.matchAll(/\{(\w+)\}/g)) {
+      if (!PLACEHOLDERS.includes(name)) {
+        problems.push(`${at}.notice.${field} uses unknown placeholder {${name}}`);
+      }
+    }
+  }
+  if (notice.color && !/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(notice.color)) {
+    problems.push(`${at}.notice.color must be a hex color`);
+  }
+  if (notice.hasBoldText !== undefined && typeof notice.hasBoldText !== 'boolean') {
+    problems.push(`${at}.notice.hasBoldText must be true or false`);
+  }
+}
+
+// Check a parsed rules config, returning a list of problems (empty when valid)
+export function validateStockRules(config) {
+  const problems = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['rules config must be an object'];
+  }
+  if (!Number.isInteger(config.lowStockThreshold) || config.lowStockThreshold < 0) {
+    problems.push('lowStockThreshold must be a non-negative integer');
+  }
+  if (!Array.isArray(config.rules)) {
+    problems.push('rules must be an array');
+    return problems;
+  }
+
+  const ids = new Set();
+  config.rules.forEach((rule, index) => {
+    const at = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object') {
+      problems.push(`${at} must be an object`);
+      return;
+    }
+    if (typeof rule.id !== 'string' || !rule.id) {
+      problems.push(`${at}.id must be a non-empty string`);
+    } else if (ids.has(rule.id)) {
+      problems.push(`${at}.id "${rule.id}" is used by an earlier rule`);
+    } else {
+      ids.add(rule.id);
+    }
+    validateWhen(rule.when, at, problems);
+    validateNotice(rule.notice, at, problems);
+  });
+
+  return problems;
+}
+
+// Read and validate a rules file; throws with every problem listed in `details`
+export function loadStockRules(path) {
+  return loadJsonConfig(path, { name: 'stock rules', validate: validateStockRules });
+}
+
+function matchesRule(rule, facts, threshold) {
+  return Object.entries(rule.when || {}).every(([field, expected]) => {
+    if (field === 'quantity') {
+      if (!Number.isFinite(facts.quantity)) return false;
+      return Object.entries(expected).every(([operator, value]) =>
+        QUANTITY_OPERATORS[operator](facts.quantity, value === THRESHOLD_REFERENCE ? threshold : value)
+      );
+    }
+    const actual = String(facts[field] ?? '').toUpperCase();
+    return (Array.isArray(expected) ? expected : [expected]).some(value => value.toUpperCase() === actual);
+  });
+}
+
+function fillPlaceholders(text, values) {
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => String(values[name] ?? placeholder));
+}
+
+// The stock notice for a variant and the id of the rule that produced it (null when none matched).
+// `messages` optionally replaces a rule's notice/subtext text by rule id, e.g. for translations.
+export function evaluateStockRules(config, { status, productType, inventory }, messages = {}) {
+  const facts = {
+    status,
+    productType,
+    management: inventory.management,
+    policy: inventory.policy,
+    quantity: inventory.quantity
+  };
+  const threshold = config.lowStockThreshold;
+  const rule = config.rules.find(candidate => matchesRule(candidate, facts, threshold));
+
+  if (!rule) {
+    return { rule: null, notice: { ...EMPTY_STOCK_NOTICE } };
+  }
+
+  const values = { quantity: facts.quantity, threshold };
+  const text = { ...rule.notice, ...messages[rule.id] };
+  return {
+    rule: rule.id,
+    notice: {
+      notice: fillPlaceholders(text.notice || '', values),
+      subtext: fillPlaceholders(text.subtext || '', values),
+      color: rule.notice.color || '',
+      hasBoldText: rule.notice.hasBoldText === true
+    }
+  };
+}
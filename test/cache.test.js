@@ -0,0 +1,241 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCache, createFakeRedisClient, createMemoryDriver, createRedisDriver } from '../cache.js';
+
+const silentLogger = { error() {} };
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const DRIVERS = {
+  memory: () => createMemoryDriver(),
+  'redis (fake client)': () => createRedisDriver(createFakeRedisClient(), { prefix: 'test:' })
+};
+
+for (const [name, createDriver] of Object.entries(DRIVERS)) {
+  describe(`cache with the ${name} driver`, () => {
+    it('loads once and serves the cached value while fresh', async () => {
+      const cache = createCache({ driver: createDriver(), logger: silentLogger });
+      let calls = 0;
+      const loader = async () => ({ calls: ++calls });
+
+      assert.deepEqual(await cache.wrap('key', { ttl: 1000 }, loader), { calls: 1 });
+      assert.deepEqual(await cache.wrap('key', { ttl: 1000 }, loader), { calls: 1 });
+      assert.equal(calls, 1);
+    });
+
+    it('shares one load between concurrent callers', async () => {
+      const cache = createCache({ driver: createDriver(), logger: silentLogger });
+      let calls = 0;
+      const loader = async () => {
+        calls++;
+        await sleep(20);
+        return 'value';
+      };
+
+      const values = await Promise.all([1, 2, 3].map(() => cache.wrap('key', { ttl: 1000 }, loader)));
+      assert.deepEqual(values, ['value', 'value', 'value']);
+      assert.equal(calls, 1);
+    });
+
+    it('does not cache misses', async () => {
+      const cache = createCache({ driver: createDriver(), logger: silentLogger });
+      let calls = 0;
+      const loader = async () => {
+        calls++;
+        return null;
+      };
+
+      assert.equal(await cache.wrap('key', { ttl: 1000 }, loader), null);
+      assert.equal(await cache.wrap('key', { ttl: 1000 }, loader), null);
+      assert.equal(calls, 2);
+    });
+
+    it('serves a stale value immediately and refreshes it in the background', async () => {
+      const cache = createCache({ driver: createDriver(), logger: silentLogger });
+      let version = 0;
+      const loader = async () => ++version;
+
+      assert.equal(await cache.wrap('key', { ttl: 10, staleTtl: 1000 }, loader), 1);
+      await sleep(20);
+
+      assert.equal(await cache.wrap('key', { ttl: 10, staleTtl: 1000 }, loader), 1);
+      await sleep(10);
+      assert.equal(await cache.get('key'), 2);
+      assert.equal(version, 2);
+    });
+
+    it('invalidates entries by static and loader-added tags', async () => {
+      const cache = createCache({ driver: createDriver(), logger: silentLogger });
+      await cache.wrap('a', { ttl: 1000, tags: ['product:a'] }, async () => 'a');
+      await cache.wrap('b', { ttl: 1000 }, async ({ tag }) => {
+        tag('product:b', 'collection:tiles');
+        return 'b';
+      });
+      await cache.set('c', 'c', { ttl: 1000, tags: ['collection:tiles'] });
+
+      const removed = await cache.invalidateTags(['collection:tiles']);
+      assert.deepEqual(removed.sort(), ['b', 'c']);
+      assert.equal(await cache.get('a'), 'a');
+      assert.equal(await cache.get('b'), undefined);
+      assert.equal(await cache.get('c'), undefined);
+      assert.deepEqual(await cache.invalidateTags(['collection:tiles']), []);
+    });
+
+    it('waits for another instance holding the lock instead of loading again', async () => {
+      // Two caches over one driver stand in for two server instances
+      const driver = createDriver();
+      const first = createCache({ driver, logger: silentLogger });
+      const second = createCache({ driver, lockPollInterval: 5, logger: silentLogger });
+      let calls = 0;
+      const slowLoader = async () => {
+        calls++;
+        await sleep(30);
+        return 'from first';
+      };
+
+      const firstLoad = first.wrap('key', { ttl: 1000 }, slowLoader);
+      await sleep(5);
+      const secondLoad = second.wrap('key', { ttl: 1000 }, async () => {
+        calls++;
+        return 'from second';
+      });
+
+      assert.equal(await firstLoad, 'from first');
+      assert.equal(await secondLoad, 'from first');
+      assert.equal(calls, 1);
+    });
+
+    it('loads many misses in one batch and leaves out keys the loader did not find', async () => {
+      const cache = createCache({ driver: createDriver(), logger: silentLogger });
+      const batches = [];
+      const loader = async (keys, { tag }) => {
+        batches.push(keys);
+        keys.forEach(key => tag(key, `tag:${key}`));
+        return new Map(keys.filter(key => key !== 'missing').map(key => [key, key.toUpperCase()]));
+      };
+
+      const values = await cache.wrapMany(['a', 'b', 'missing', 'a'], { ttl: 1000 }, loader);
+      assert.deepEqual([...values], [['a', 'A'], ['b', 'B']]);
+      assert.deepEqual(batches, [['a', 'b', 'missing']]);
+
+      const again = await cache.wrapMany(['b', 'c'], { ttl: 1000 }, loader);
+      assert.deepEqual([...again].sort(), [['b', 'B'], ['c', 'C']]);
+      assert.deepEqual(batches[1], ['c']);
+
+      assert.deepEqual(await cache.invalidateTags(['tag:b']), ['b']);
+    });
+
+    it('fetches each key once across overlapping batches', async () => {
+      const cache = createCache({ driver: createDriver(), logger: silentLogger });
+      const loaded = [];
+      const loader = async (keys) => {
+        loaded.push(...keys);
+        await sleep(20);
+        return new Map(keys.map(key => [key, key]));
+      };
+
+      const [first, second] = await Promise.all([
+        cache.wrapMany(['a', 'b'], { ttl: 1000 }, loader),
+        cache.wrapMany(['b', 'c'], { ttl: 1000 }, loader)
+      ]);
+      assert.deepEqual([...first.keys()], ['a', 'b']);
+      assert.deepEqual([...second.keys()], ['b', 'c']);
+      assert.deepEqual(loaded.sort(), ['a', 'b', 'c']);
+    });
+
+    it('refreshes stale keys in the background once', async () => {
+      const cache = createCache({ driver: createDriver(), logger: silentLogger });
+      let version = 0;
+      const refreshed = [];
+      const loader = async (keys) => {
+        refreshed.push(...keys);
+        version++;
+        await sleep(10);
+        return new Map(keys.map(key => [key, version]));
+      };
+
+      await cache.wrapMany(['a', 'b'], { ttl: 10, staleTtl: 1000 }, loader);
+      await sleep(20);
+      refreshed.length = 0;
+
+      const stale = await Promise.all([1, 2, 3].map(() => cache.wrapMany(['a', 'b'], { ttl: 10, staleTtl: 1000 }, loader)));
+      stale.forEach(values => assert.deepEqual([...values], [['a', 1], ['b', 1]]));
+      await sleep(20);
+
+      assert.deepEqual(refreshed, ['a', 'b']);
+      assert.equal(await cache.get('a'), 2);
+    });
+
+    it('passes per-key errors on without caching them', async () => {
+      const cache = createCache({ driver: createDriver(), logger: silentLogger });
+      const failure = new Error('THROTTLED');
+      let calls = 0;
+      const loader = async (keys) => {
+        calls++;
+        return new Map(keys.map(key => [key, key === 'b' && calls === 1 ? failure : key]));
+      };
+
+      const values = await cache.wrapMany(['a', 'b'], { ttl: 1000 }, loader);
+      assert.equal(values.get('a'), 'a');
+      assert.equal(values.get('b'), failure);
+      assert.equal(await cache.get('b'), undefined);
+
+      const retried = await cache.wrapMany(['a', 'b'], { ttl: 1000 }, loader);
+      assert.deepEqual([...retried], [['a', 'a'], ['b', 'b']]);
+    });
+
+    it('updates a value in place without making it fresh again', async () => {
+      const cache = createCache({ driver: createDriver(), logger: silentLogger });
+      let version = 0;
+      const loader = async () => ({ version: ++version, pushed: [] });
+
+      await cache.wrap('key', { ttl: 10, staleTtl: 1000 }, loader);
+      assert.equal(await cache.update('missing', value => value), undefined);
+      const updated = await cache.update('key', value => ({ ...value, pushed: ['change'] }));
+      assert.deepEqual(updated, { version: 1, pushed: ['change'] });
+
+      await sleep(20);
+      assert.deepEqual(await cache.wrap('key', { ttl: 10, staleTtl: 1000 }, loader), { version: 1, pushed: ['change'] });
+      await sleep(10);
+      assert.equal(version, 2);
+    });
+
+    it('waits for the lock before updating', async () => {
+      const driver = createDriver();
+      const cache = createCache({ driver, lockPollInterval: 5, logger: silentLogger });
+      await cache.set('key', 1, { ttl: 1000 });
+      await driver.acquireLock('lock:key', 1000);
+      setTimeout(() => driver.releaseLock('lock:key'), 20);
+
+      const started = Date.now();
+      assert.equal(await cache.update('key', value => value + 1), 2);
+      assert.ok(Date.now() - started >= 15);
+    });
+
+    it('loads anyway once the lock wait runs out', async () => {
+      const driver = createDriver();
+      await driver.acquireLock('lock:key', 1000);
+      const cache = createCache({ driver, lockWait: 20, lockPollInterval: 5, logger: silentLogger });
+
+      assert.equal(await cache.wrap('key', { ttl: 1000 }, async () => 'loaded'), 'loaded');
+    });
+  });
+}
+
+describe('cache driver failures', () => {
+  it('fall through to the loader', async () => {
+    const failing = () => Promise.reject(new Error('connection refused'));
+    const driver = {
+      get: failing,
+      set: failing,
+      delete: failing,
+      addToSet: failing,
+      getSet: failing,
+      acquireLock: failing,
+      releaseLock: failing
+    };
+    const cache = createCache({ driver, logger: silentLogger });
+
+    assert.equal(await cache.wrap('key', { ttl: 1000 }, async () => 'upstream'), 'upstream');
+    assert.deepEqual(await cache.invalidateTags(['tag']), []);
+  });
+});
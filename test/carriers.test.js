@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TRACKING_STATUSES,
+  carrierTrackingUrl,
+  createStubCarrierAdapter,
+  createTrackingService,
+  normalizeCarrier
+} from '../carriers.js';
+
+const silentLogger = { error() {} };
+
+describe('normalizeCarrier', () => {
+  it('maps carrier names as typed into Shopify', () => {
+    assert.deepEqual(normalizeCarrier('UPS'), { id: 'ups', name: 'UPS' });
+    assert.deepEqual(normalizeCarrier('Federal Express'), { id: 'fedex', name: 'FedEx' });
+    assert.deepEqual(normalizeCarrier('R+L Carriers'), { id: 'rl-carriers', name: 'R+L Carriers' });
+    assert.deepEqual(normalizeCarrier('canada-post'), { id: 'canada-post', name: 'Canada Post' });
+  });
+
+  it('returns null for unknown or empty names', () => {
+    assert.equal(normalizeCarrier('Bob\'s Trucking'), null);
+    assert.equal(normalizeCarrier(''), null);
+    assert.equal(normalizeCarrier(null), null);
+  });
+});
+
+describe('carrierTrackingUrl', () => {
+  it('fills in the encoded tracking number', () => {
+    assert.equal(carrierTrackingUrl('ups', '1Z 999'), 'https://www.ups.com/track?tracknum=1Z%20999');
+    assert.equal(carrierTrackingUrl('unknown', '123'), null);
+    assert.equal(carrierTrackingUrl('ups', ''), null);
+  });
+});
+
+describe('stub carrier adapter', () => {
+  const now = () => Date.UTC(2026, 0, 10);
+  const service = createTrackingService({ adapters: [createStubCarrierAdapter({ carriers: ['ups'], now })], logger: silentLogger });
+
+  it('gives each number the same normalized progress every time', async () => {
+    const events = await service.track({ carrier: 'ups', number: '1Z999' });
+    assert.ok(events.length >= 1 && events.length <= TRACKING_STATUSES.length);
+    assert.deepEqual(events.map(event => event.status), TRACKING_STATUSES.slice(0, events.length));
+    assert.ok(events.every(event => event.description && event.location && event.occurredAt));
+    assert.deepEqual(await service.track({ carrier: 'ups', number: '1Z999' }), events);
+  });
+
+  it('orders events oldest first', async () => {
+    const events = await service.track({ carrier: 'ups', number: 'PRO-42' });
+    const times = events.map(event => Date.parse(event.occurredAt));
+    assert.deepEqual(times, [...times].sort((a, b) => a - b));
+    assert.ok(times.every(time => time < now()));
+  });
+
+  it('only claims the carriers it was given', async () => {
+    assert.equal(service.supports('ups'), true);
+    assert.equal(service.supports('fedex'), false);
+    assert.equal(await service.track({ carrier: 'fedex', number: '123' }), null);
+  });
+});
+
+describe('createTrackingService', () => {
+  it('drops events with unknown statuses', async () => {
+    const adapter = {
+      id: 'test',
+      carriers: ['estes'],
+      async track() {
+        return [
+          { status: 'delivered', occurredAt: '2026-01-03T00:00:00Z' },
+          { status: 'exception', occurredAt: '2026-01-02T00:00:00Z' },
+          { status: 'picked_up', occurredAt: '2026-01-01T00:00:00Z' },
+          null
+        ];
+      }
+    };
+    const service = createTrackingService({ adapters: [adapter], logger: silentLogger });
+
+    assert.deepEqual(await service.track({ carrier: 'estes', number: 'PRO1' }), [
+      { status: 'picked_up', description: null, location: null, occurredAt: '2026-01-01T00:00:00.000Z' },
+      { status: 'delivered', description: null, location: null, occurredAt: '2026-01-03T00:00:00.000Z' }
+    ]);
+  });
+
+  it('reports adapter failures as no events', async () => {
+    const adapter = {
+      id: 'broken',
+      carriers: ['saia'],
+      async track() {
+        throw new Error('carrier API down');
+      }
+    };
+    const service = createTrackingService({ adapters: [adapter], logger: silentLogger });
+
+    assert.equal(await service.track({ carrier: 'saia', number: 'PRO1' }), null);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createShopifyThrottle, createTokenBucketLimiter } from '../rate-limit.js';
+
+const silentLogger = { warn() {} };
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A Shopify GraphQL endpoint with a cost bucket. The cost is charged when a
+// request arrives and the bucket is reported with the response `latency` ms later.
+function simulatedShopify({ maximumAvailable, restoreRate, cost, latency = 20 }) {
+  let currentlyAvailable = maximumAvailable;
+  let updatedAt = Date.now();
+  let inFlight = 0;
+  const stats = { sent: 0, throttled: 0, maxInFlight: 0, inFlightBeforeFirstResponse: 0 };
+  let answered = false;
+
+  function restore() {
+    const at = Date.now();
+    currentlyAvailable = Math.min(maximumAvailable, currentlyAvailable + ((at - updatedAt) / 1000) * restoreRate);
+    updatedAt = at;
+  }
+
+  const client = {
+    async request() {
+      stats.sent++;
+      inFlight++;
+      stats.maxInFlight = Math.max(stats.maxInFlight, inFlight);
+      if (!answered) stats.inFlightBeforeFirstResponse = Math.max(stats.inFlightBeforeFirstResponse, inFlight);
+
+      restore();
+      const throttled = currentlyAvailable < cost;
+      if (throttled) stats.throttled++;
+      else currentlyAvailable -= cost;
+
+      await sleep(latency);
+      inFlight--;
+      answered = true;
+      restore();
+
+      const throttleStatus = { maximumAvailable, currentlyAvailable, restoreRate };
+      return throttled
+        ? { errors: { graphQLErrors: [{ extensions: { code: 'THROTTLED' } }] }, extensions: { cost: { requestedQueryCost: cost, throttleStatus } } }
+        : { data: {}, extensions: { cost: { requestedQueryCost: cost, actualQueryCost: cost, throttleStatus } } };
+    }
+  };
+  return { client, stats };
+}
+
+describe('createShopifyThrottle', () => {
+  it('sends one request at a time until the bucket is known', async () => {
+    const { client, stats } = simulatedShopify({ maximumAvailable: 1000, restoreRate: 50, cost: 10 });
+    const throttle = createShopifyThrottle(client, { logger: silentLogger });
+
+    await Promise.all(Array.from({ length: 5 }, () => throttle.request('query')));
+    assert.equal(stats.inFlightBeforeFirstResponse, 1);
+    assert.equal(stats.sent, 5);
+  });
+
+  it('keeps reservations for requests in flight when a response reports the bucket', async () => {
+    const { client, stats } = simulatedShopify({ maximumAvailable: 100, restoreRate: 1000, cost: 40 });
+    const throttle = createShopifyThrottle(client, { logger: silentLogger });
+
+    const responses = await Promise.all(Array.from({ length: 12 }, () => throttle.request('query')));
+    assert.equal(stats.throttled, 0);
+    assert.ok(responses.every(response => response.data));
+  });
+
+  it('fails fast when the wait for budget would be too long', async () => {
+    const { client } = simulatedShopify({ maximumAvailable: 100, restoreRate: 1, cost: 90 });
+    const throttle = createShopifyThrottle(client, { maxWait: 1000, logger: silentLogger });
+
+    await throttle.request('query');
+    await assert.rejects(throttle.request('query'), error => error.code === 'UPSTREAM_UNAVAILABLE' && Boolean(error.headers['Retry-After']));
+  });
+});
+
+describe('createTokenBucketLimiter', () => {
+  it('allows a burst, then refills at the configured rate', () => {
+    let at = 0;
+    const limiter = createTokenBucketLimiter({ burst: 2, perSecond: 1, now: () => at });
+
+    assert.equal(limiter.take('client', 1).allowed, true);
+    assert.equal(limiter.take('client', 1).allowed, true);
+    const denied = limiter.take('client', 1);
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.retryAfter, 1);
+
+    at = 1000;
+    assert.equal(limiter.take('client', 1).allowed, true);
+    assert.equal(limiter.take('other', 2).allowed, true);
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyReviewChange, carryOverReviewChanges, syncReviewSet, toReviewRecord } from '../reviews.js';
+
+const PAGE_SIZE = 3;
+const DAY = 24 * 60 * 60 * 1000;
+const silentLogger = { error() {} };
+
+function review(id, createdDay, { updatedDay = createdDay, published = true, rating = 5 } = {}) {
+  return {
+    id,
+    rating,
+    published,
+    created_at: new Date(Date.UTC(2024, 0, 1) + createdDay * DAY).toISOString(),
+    updated_at: new Date(Date.UTC(2024, 0, 1) + updatedDay * DAY).toISOString(),
+    product_handle: 'tile',
+    reviewer: { name: 'R', email: 'private@example.com' },
+    pictures: []
+  };
+}
+
+// Judge.me pages newest-created first
+function pager(reviews) {
+  const sorted = [...reviews].sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at));
+  const requested = [];
+  const fetchPage = async (page) => {
+    requested.push(page);
+    return sorted.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+  };
+  return { fetchPage, requested };
+}
+
+function sync(previous, fetchPage, options = {}) {
+  return syncReviewSet(previous, fetchPage, { pageSize: PAGE_SIZE, fullSyncInterval: DAY, logger: silentLogger, ...options });
+}
+
+// Twelve reviews, created on days 0-11
+const initialReviews = Array.from({ length: 12 }, (_, day) => review(day, day));
+
+describe('syncReviewSet', () => {
+  it('walks every page on the first sync', async () => {
+    const { fetchPage, requested } = pager(initialReviews);
+    const state = await sync(undefined, fetchPage);
+
+    assert.deepEqual(requested, [1, 2, 3, 4, 5]);
+    assert.equal(state.records.length, 12);
+    assert.equal(state.lastSync.type, 'full');
+    assert.equal(state.lastSync.reviewsAdded, 12);
+    assert.equal(state.records[0].review.reviewer.email, undefined);
+  });
+
+  it('picks up new reviews and an edit on a later page incrementally', async () => {
+    const previous = await sync(undefined, pager(initialReviews).fetchPage);
+
+    // A new review on page 1, and review 8 (page 2) unpublished on day 20
+    const changed = initialReviews.map(existing => existing.id === 8
+      ? review(8, 8, { updatedDay: 20, published: false })
+      : existing);
+    const { fetchPage, requested } = pager([...changed, review(12, 19)]);
+    const state = await sync(previous, fetchPage);
+
+    assert.equal(state.lastSync.type, 'incremental');
+    // Page 3 holds nothing newer than the watermark, so the sync stops there
+    assert.deepEqual(requested, [1, 2, 3]);
+    assert.equal(state.lastSync.reviewsAdded, 1);
+    assert.equal(state.lastSync.reviewsUpdated, 1);
+    assert.equal(state.records.length, 13);
+    assert.equal(state.records.find(record => record.id === 8).published, false);
+    assert.equal(state.newestUpdatedAt, Date.UTC(2024, 0, 1) + 20 * DAY);
+  });
+
+  it('stops after the first page when nothing changed', async () => {
+    const previous = await sync(undefined, pager(initialReviews).fetchPage);
+    const { fetchPage, requested } = pager(initialReviews);
+    const state = await sync(previous, fetchPage);
+
+    assert.deepEqual(requested, [1]);
+    assert.equal(state.lastSync.reviewsAdded, 0);
+    assert.equal(state.lastSync.reviewsUpdated, 0);
+  });
+
+  it('replaces the set on a full sync so deleted reviews drop out', async () => {
+    const previous = await sync(undefined, pager(initialReviews).fetchPage);
+    const { fetchPage } = pager(initialReviews.filter(existing => existing.id !== 3));
+    const state = await sync(previous, fetchPage, { full: true });
+
+    assert.equal(state.lastSync.reviewsRemoved, 1);
+    assert.equal(state.records.some(record => record.id === 3), false);
+  });
+
+  it('keeps what it merged and the old watermark when a page fails', async () => {
+    const previous = await sync(undefined, pager(initialReviews).fetchPage);
+    const { fetchPage: fetchChanged } = pager([...initialReviews, review(12, 19), review(13, 18), review(14, 17)]);
+    const fetchPage = async (page) => {
+      if (page === 2) throw new Error('timeout of 5000ms exceeded');
+      return fetchChanged(page);
+    };
+    const state = await sync(previous, fetchPage);
+
+    assert.deepEqual(state.lastSync.errors, [{ page: 2, message: 'timeout of 5000ms exceeded' }]);
+    assert.equal(state.lastSync.reviewsAdded, 3);
+    assert.equal(state.newestUpdatedAt, previous.newestUpdatedAt);
+  });
+
+  it('fails when the first sync gets nothing', async () => {
+    const fetchPage = async () => {
+      throw new Error('Judge.me request failed');
+    };
+    await assert.rejects(sync(undefined, fetchPage), /Judge.me request failed/);
+  });
+});
+
+describe('review changes from webhooks', () => {
+  it('replace the review and keep the set newest first', async () => {
+    const state = await sync(undefined, pager(initialReviews).fetchPage);
+    const changed = applyReviewChange(state, toReviewRecord(review(20, 30)), 1000);
+
+    assert.equal(changed.records[0].id, 20);
+    assert.equal(changed.records[0].changedAt, 1000);
+    assert.equal(changed.records.length, 13);
+    assert.equal(state.records.length, 12);
+  });
+
+  it('carry over into a sync that ran while they arrived', async () => {
+    const previous = await sync(undefined, pager(initialReviews).fetchPage);
+    const syncStartedAt = 5000;
+
+    // Review 2 (far down the pages) is unpublished while the sync runs; an
+    // older change to review 4 was already part of the set the sync built on
+    let current = applyReviewChange(previous, { ...toReviewRecord(review(4, 4)), published: false }, 1000);
+    current = applyReviewChange(current, { ...toReviewRecord(review(2, 2)), published: false }, 6000);
+    const synced = await sync(previous, pager(initialReviews).fetchPage, { full: true });
+
+    const state = carryOverReviewChanges(synced, current, syncStartedAt);
+    assert.equal(state.records.find(record => record.id === 2).published, false);
+    assert.equal(state.records.find(record => record.id === 4).published, true);
+    assert.equal(state.records.length, 12);
+    assert.equal(state.lastSync, synced.lastSync);
+  });
+});
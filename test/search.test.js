@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSearchIndex, tokenize } from '../search.js';
+
+function indexOf(products) {
+  const index = createSearchIndex();
+  products.forEach(({ id, title, sku = [] }) => index.upsert({ id, fields: { title, sku }, data: { id } }));
+  return index;
+}
+
+const index = indexOf([
+  { id: 'calacatta', title: 'Calacatta Porcelain Tile 12x24x3/8', sku: ['CAL-1224'] },
+  { id: 'slate', title: 'Slate Mosaic 2" x 12"', sku: ['SL-212'] },
+  { id: 'subway', title: 'Ceramic Subway Tile 3 x 6', sku: ['SUB-36'] }
+]);
+
+const ids = (results) => results.map(result => result.id);
+
+describe('tokenize', () => {
+  it('normalizes sizes in either orientation and with inch marks', () => {
+    for (const text of ['12x24', '12 x 24', '12"x24"', '24x12', '12in x 24in', '12 × 24']) {
+      assert.deepEqual(tokenize(text), ['12', '24', '12x24'], text);
+    }
+  });
+
+  it('keeps a thickness apart from the face size', () => {
+    assert.deepEqual(tokenize('Porcelain 12x24x3/8'), ['porcelain', '12', '24', '12x24', '3/8']);
+    assert.deepEqual(tokenize('⅜ inch'), ['3/8', 'inch']);
+  });
+
+  it('keeps tokens in the order they appear', () => {
+    assert.deepEqual(tokenize('Matte 6x6 Café'), ['matte', '6', '6', '6x6', 'cafe']);
+  });
+});
+
+describe('createSearchIndex', () => {
+  it('finds a size whatever thickness the title gives', () => {
+    assert.deepEqual(ids(index.search('12x24')), ['calacatta']);
+    assert.deepEqual(ids(index.search('24 x 12 porcelain', { prefix: false })), ['calacatta']);
+    assert.deepEqual(ids(index.search('3/8')), ['calacatta']);
+  });
+
+  it('matches a size still being typed at the end of the query', () => {
+    assert.deepEqual(ids(index.search('porcelain 12x2')), ['calacatta']);
+    assert.deepEqual(ids(index.search('24x1')), ['calacatta']);
+    assert.deepEqual(ids(index.search('12x2')).sort(), ['calacatta', 'slate']);
+    // Typed out in full, 12x2 is a size of its own
+    assert.deepEqual(ids(index.search('12x2', { prefix: false })), ['slate']);
+  });
+
+  it('matches SKUs with or without their punctuation', () => {
+    assert.deepEqual(ids(index.search('CAL1224')), ['calacatta']);
+    assert.deepEqual(ids(index.search('cal-1224')), ['calacatta']);
+    assert.deepEqual(ids(index.search('sub3')), ['subway']);
+  });
+
+  it('tolerates typos in words but not in numbers', () => {
+    assert.deepEqual(ids(index.search('porcelin')), ['calacatta']);
+    assert.deepEqual(ids(index.search('calacata tlie')), ['calacatta']);
+    assert.deepEqual(index.search('12x14', { prefix: false }), []);
+  });
+
+  it('requires every token to match and ranks stronger fields first', () => {
+    assert.deepEqual(ids(index.search('tile')).sort(), ['calacatta', 'subway']);
+    assert.deepEqual(index.search('slate porcelain'), []);
+
+    const ranked = indexOf([
+      { id: 'in-title', title: 'Mosaic Tile' },
+      { id: 'in-sku', title: 'Tile', sku: ['MOSAIC-1'] }
+    ]);
+    assert.deepEqual(ids(ranked.search('mosaic', { prefix: false })), ['in-sku', 'in-title']);
+  });
+
+  it('rebuilds from saved documents', () => {
+    const copy = createSearchIndex();
+    JSON.parse(JSON.stringify(index.documents())).forEach(document => copy.upsert(document));
+    assert.deepEqual(copy.search('porcelain 12x2'), index.search('porcelain 12x2'));
+    assert.equal(copy.termCount, index.termCount);
+  });
+
+  it('drops removed documents', () => {
+    const small = indexOf([{ id: 'a', title: 'Onyx' }, { id: 'b', title: 'Onyx Honed' }]);
+    assert.equal(small.remove('b'), true);
+    assert.equal(small.remove('b'), false);
+    assert.deepEqual(ids(small.search('onyx')), ['a']);
+    assert.deepEqual(small.search('honed'), []);
+    assert.equal(small.size, 1);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { evaluateStockRules, loadStockRules, validateStockRules } from '../stock-rules.js';
+
+const shippedRules = loadStockRules(fileURLToPath(new URL('../stock-rules.json', import.meta.url)));
+
+// Facts as buildVariantPriceInfo passes them: the status metafield uppercased,
+// inventory management and policy as the Admin GraphQL API's enums
+function variant(status, { quantity, management = 'SHOPIFY', policy }) {
+  return { status, productType: 'TILE', inventory: { quantity, management, policy } };
+}
+
+function ruleFor(facts) {
+  return evaluateStockRules(shippedRules, facts).rule;
+}
+
+describe('shipped stock rules', () => {
+  it('match GraphQL-shaped variants', () => {
+    assert.equal(ruleFor(variant('ACTIVE', { quantity: 0, policy: 'CONTINUE' })), 'active-oversold');
+    assert.equal(ruleFor(variant('ACTIVE', { quantity: -3, policy: 'CONTINUE' })), 'active-oversold');
+    assert.equal(ruleFor(variant('ACTIVE', { quantity: 5, policy: 'CONTINUE' })), 'active-low-stock');
+    assert.equal(ruleFor(variant('DISCONTINUED', { quantity: 0, policy: 'DENY' })), 'discontinued-sold-out');
+    assert.equal(ruleFor(variant('DISCONTINUED', { quantity: 4, policy: 'DENY' })), 'discontinued-remaining');
+    assert.equal(ruleFor(variant('CLEARANCE', { quantity: 2, policy: 'DENY' })), 'clearance-remaining');
+    assert.equal(ruleFor(variant('CLEARANCE', { quantity: 0, policy: 'DENY' })), 'clearance-sold-out');
+    assert.equal(ruleFor(variant('SPECIAL_ORDER', { quantity: 0, policy: 'DENY' })), 'special-order');
+    assert.equal(ruleFor(variant('PRE_ORDER', { quantity: 0, policy: 'CONTINUE' })), 'pre-order');
+  });
+
+  it('show no notice for well-stocked, untracked or deny-policy active variants', () => {
+    assert.equal(ruleFor(variant('ACTIVE', { quantity: 500, policy: 'CONTINUE' })), null);
+    assert.equal(ruleFor(variant('ACTIVE', { quantity: 5, policy: 'DENY' })), null);
+    assert.equal(ruleFor(variant('ACTIVE', { quantity: 0, management: 'NOT_MANAGED', policy: 'CONTINUE' })), null);
+    assert.equal(ruleFor(variant('ACTIVE', { quantity: null, management: null, policy: 'CONTINUE' })), null);
+  });
+
+  it('fill in the quantity', () => {
+    const { notice } = evaluateStockRules(shippedRules, variant('ACTIVE', { quantity: 3, policy: 'CONTINUE' }));
+    assert.deepEqual(notice, { notice: 'Low Stock', subtext: 'Only 3 left!', color: '#FD8B07', hasBoldText: false });
+  });
+});
+
+describe('evaluateStockRules', () => {
+  it('matches condition values case-insensitively', () => {
+    const config = {
+      lowStockThreshold: 10,
+      rules: [{ id: 'lowercase', when: { management: 'shopify', policy: ['continue'] }, notice: { notice: 'Yes' } }]
+    };
+    assert.deepEqual(validateStockRules(config), []);
+    assert.equal(evaluateStockRules(config, variant('ACTIVE', { quantity: 1, policy: 'CONTINUE' })).rule, 'lowercase');
+  });
+
+  it('uses translated text by rule id', () => {
+    const { notice } = evaluateStockRules(
+      shippedRules,
+      variant('ACTIVE', { quantity: 2, policy: 'CONTINUE' }),
+      { 'active-low-stock': { notice: 'Stock faible', subtext: 'Plus que {quantity} !' } }
+    );
+    assert.equal(notice.notice, 'Stock faible');
+    assert.equal(notice.subtext, 'Plus que 2 !');
+  });
+});
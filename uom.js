@@ -0,0 +1,147 @@
+// Unit-of-measure conversions.
+//
+// A variant is measured in a base unit (its `uom` metafield: SF, LF, SM, ...)
+// and sold in a sell unit (its `sell_unit` metafield: BX, PLT, EA, ...). The
+// conversion is how many base units one sell unit contains, read from the
+// pricelist metafields listed in CONVERSIONS below.
+
+// Base units, grouped by what they measure, with their size in imperial units
+export const UOMS = {
+  SF: { dimension: 'area', toImperial: 1 },
+  SM: { dimension: 'area', toImperial: 10.7639 }, // sq.m -> sq.ft
+  LF: { dimension: 'length', toImperial: 1 },
+  LM: { dimension: 'length', toImperial: 3.28084 }, // m -> ft
+  EA: { dimension: 'count', toImperial: 1 },
+  BAG: { dimension: 'count', toImperial: 1 }
+};
+
+// For each base unit, the metafields whose product gives base units per sell
+// unit. Sell units with several entries list alternatives in order of
+// preference; an empty list means the sell unit is the base unit itself.
+export const CONVERSIONS = {
+  SF: {
+    SF: [[]],
+    EA: [['sf_ea']],
+    SHT: [['sf_ea']],
+    BX: [['sf_box']],
+    SET: [['sf_box']],
+    PLT: [['sf_plt'], ['sf_box', 'bx_plt']]
+  },
+  SM: {
+    SM: [[]],
+    EA: [['sm_ea']],
+    SHT: [['sm_ea']],
+    BX: [['sm_box']],
+    SET: [['sm_box']],
+    PLT: [['sm_plt'], ['sm_box', 'bx_plt']]
+  },
+  LF: {
+    LF: [[]],
+    EA: [['lf_ea']],
+    BX: [['lf_box']],
+    PLT: [['lf_plt'], ['lf_box', 'bx_plt']]
+  },
+  LM: {
+    LM: [[]],
+    EA: [['lm_ea']],
+    BX: [['lm_box']],
+    PLT: [['lm_plt'], ['lm_box', 'bx_plt']]
+  },
+  EA: {
+    EA: [[]],
+    BX: [['ea_box']],
+    SET: [['ea_box']],
+    PLT: [['ea_plt'], ['ea_box', 'bx_plt']]
+  },
+  BAG: {
+    BAG: [[]],
+    PLT: [['bag_plt']]
+  }
+};
+
+function readMetafield(metafields, key) {
+  const raw = metafields[key];
+  if (raw === undefined || raw === null || String(raw).trim() === '') {
+    return { error: { key, problem: 'missing' } };
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0) {
+    return { error: { key, problem: 'invalid', value: raw } };
+  }
+  return { value };
+}
+
+// Base units per sell unit.
+//
+// Returns { value, uom, sellUnit, source, errors }. `value` is null whenever
+// it can't be computed, with `errors` saying why: an unknown unit, an
+// unsupported uom/sell unit pair, or missing/invalid metafields.
+export function convertSellUnit({ uom, sellUnit, metafields = {} }) {
+  const result = { value: null, uom, sellUnit, source: null, errors: [] };
+
+  if (!uom || !sellUnit) {
+    if (!uom) result.errors.push({ key: 'uom', problem: 'missing' });
+    if (!sellUnit) result.errors.push({ key: 'sell_unit', problem: 'missing' });
+    return result;
+  }
+
+  if (!CONVERSIONS[uom]) {
+    result.errors.push({ key: 'uom', problem: 'unsupported', value: uom });
+    return result;
+  }
+
+  const alternatives = CONVERSIONS[uom][sellUnit];
+  if (!alternatives) {
+    result.errors.push({ key: 'sell_unit', problem: 'unsupported', value: sellUnit, uom });
+    return result;
+  }
+
+  // Use the first alternative whose metafields are all present and valid
+  const attemptErrors = [];
+  for (const keys of alternatives) {
+    const reads = keys.map(key => readMetafield(metafields, key));
+    const errors = reads.filter(read => read.error).map(read => read.error);
+    if (errors.length === 0) {
+      result.value = reads.reduce((total, read) => total * read.value, 1);
+      result.source = keys;
+      return result;
+    }
+    attemptErrors.push(...errors);
+  }
+
+  result.errors = attemptErrors;
+  return result;
+}
+
+// Price per base unit, or null when the conversion is unknown
+export function pricePerUom(price, conversion) {
+  const amount = Number(price);
+  if (price === null || price === undefined || !Number.isFinite(amount) || !conversion) {
+    return null;
+  }
+  return amount / conversion;
+}
+
+// Express a quantity of base units in sq.ft / linear ft / a count
+export function toImperial(quantity, uom) {
+  const unit = UOMS[uom];
+  return unit && quantity !== null ? quantity * unit.toImperial : null;
+}
+
+// Price per sq.ft for area units, or null for anything not sold by area
+export function pricePerSqFt({ uom, currentPrice, compareAtPrice, conversion }) {
+  if (UOMS[uom]?.dimension !== 'area') {
+    return null;
+  }
+
+  const squareFeet = toImperial(conversion, uom);
+  const current = pricePerUom(currentPrice, squareFeet);
+  if (current === null) {
+    return null;
+  }
+
+  return {
+    current,
+    compare: pricePerUom(compareAtPrice, squareFeet)
+  };
+}
@@ -0,0 +1,208 @@
+// Request validation.
+//
+// Routes declare schemas for the parts of the request they read:
+//
+//   validate({
+//     params: { handle: handle() },
+//     query: { limit: optional(integer({ min: 1, max: 250 }), 250) }
+//   })
+//
+// A rule is a function taking the raw value and returning { value } or
+// { error }. Every field is checked, and a request with any invalid field
+// fails with VALIDATION_FAILED listing them all in `details.invalid`. The
+// parsed values end up on `req.valid.params`, `req.valid.query` and
+// `req.valid.body`; fields without a rule are left out.
+
+import { ApiError } from './errors.js';
+
+// Shopify handles: letters, digits, hyphens and underscores
+const HANDLE_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_-]*$/u;
+const MAX_HANDLE_LENGTH = 255;
+// Shopify pagination cursors are opaque base64 strings
+const CURSOR_PATTERN = /^[A-Za-z0-9+/=_-]+$/;
+const MAX_CURSOR_LENGTH = 512;
+
+function describeRange(kind, min, max) {
+  if (min === -Infinity && max === Infinity) return `Must be ${kind}`;
+  if (max === Infinity) return `Must be ${kind} of at least ${min}`;
+  if (min === -Infinity) return `Must be ${kind} of at most ${max}`;
+  return `Must be ${kind} between ${min} and ${max}`;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+export function string({ pattern, maxLength = 255, message } = {}) {
+  return (value) => {
+    if (isMissing(value)) return { error: 'Is required' };
+    if (typeof value !== 'string') return { error: 'Must be a string' };
+
+    const trimmed = value.trim();
+    if (!trimmed) return { error: 'Is required' };
+    if (trimmed.length > maxLength) return { error: `Must be at most ${maxLength} characters` };
+    if (pattern && !pattern.test(trimmed)) return { error: message || 'Has an invalid format' };
+    return { value: trimmed };
+  };
+}
+
+export function handle() {
+  return string({
+    pattern: HANDLE_PATTERN,
+    maxLength: MAX_HANDLE_LENGTH,
+    message: 'Must be a product or collection handle (letters, digits, hyphens)'
+  });
+}
+
+export function cursor() {
+  return string({ pattern: CURSOR_PATTERN, maxLength: MAX_CURSOR_LENGTH, message: 'Invalid cursor' });
+}
+
+// Integers arrive as strings in query parameters and as numbers in JSON bodies
+export function integer({ min = -Infinity, max = Infinity } = {}) {
+  return (value) => {
+    if (isMissing(value)) return { error: 'Is required' };
+    const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    if (!Number.isInteger(number) || number < min || number > max) {
+      return { error: describeRange('an integer', min, max) };
+    }
+    return { value: number };
+  };
+}
+
+// `greaterThan` excludes its bound, e.g. { greaterThan: 0 } for positive numbers
+export function number({ min = -Infinity, max = Infinity, greaterThan } = {}) {
+  return (value) => {
+    if (isMissing(value)) return { error: 'Is required' };
+    const parsed = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed) || parsed < min || parsed > max) {
+      return { error: describeRange('a number', min, max) };
+    }
+    if (greaterThan !== undefined && !(parsed > greaterThan)) {
+      return { error: `Must be a number greater than ${greaterThan}` };
+    }
+    return { value: parsed };
+  };
+}
+
+// An ISO 8601 date or date-time, parsed to a timestamp in milliseconds
+export function date() {
+  return (value) => {
+    if (isMissing(value)) return { error: 'Is required' };
+    const timestamp = typeof value === 'string' ? Date.parse(value) : NaN;
+    return Number.isNaN(timestamp) ? { error: 'Must be an ISO 8601 date' } : { value: timestamp };
+  };
+}
+
+// true/false, as booleans in JSON or strings in query parameters
+export function boolean() {
+  return (value) => {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { error: 'Must be true or false' };
+  };
+}
+
+export function oneOf(values) {
+  return (value) => values.includes(value)
+    ? { value }
+    : { error: `Must be one of: ${values.join(', ')}` };
+}
+
+// A JSON array whose items all pass `item`
+export function list(item, { min = 1, max }) {
+  return (value) => {
+    if (!Array.isArray(value) || value.length < min || value.length > max) {
+      return { error: `Must be an array of ${min} to ${max} items` };
+    }
+    return checkItems(value, item);
+  };
+}
+
+// A comma-separated query parameter whose items all pass `item`. Empty items are skipped.
+export function commaList(item, { min = 1, max }) {
+  return (value) => {
+    if (typeof value !== 'string') return { error: `Must be a comma-separated list of ${min} to ${max} items` };
+    const items = value.split(',').map(part => part.trim()).filter(Boolean);
+    if (items.length < min || items.length > max) {
+      return { error: `Must be a comma-separated list of ${min} to ${max} items` };
+    }
+    return checkItems(items, item);
+  };
+}
+
+function checkItems(items, item) {
+  const values = [];
+  const errors = {};
+  items.forEach((raw, index) => {
+    const result = item(raw);
+    if (result.errors) {
+      for (const [suffix, error] of Object.entries(result.errors)) {
+        errors[`[${index}]${suffix}`] = error;
+      }
+    } else if (result.error) {
+      errors[`[${index}]`] = result.error;
+    } else {
+      values.push(result.value);
+    }
+  });
+  return Object.keys(errors).length > 0 ? { errors } : { value: values };
+}
+
+// A JSON object whose fields pass `schema`; errors are reported per field, e.g. rooms[0].width
+export function object(schema) {
+  return (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'Must be an object' };
+
+    const invalid = {};
+    const values = checkFields(schema, value, invalid);
+    if (Object.keys(invalid).length === 0) return { value: values };
+    return { errors: Object.fromEntries(Object.entries(invalid).map(([field, error]) => [`.${field}`, error])) };
+  };
+}
+
+// Missing values are fine and become `defaultValue`
+export function optional(rule, defaultValue = null) {
+  return (value) => isMissing(value) ? { value: defaultValue } : rule(value);
+}
+
+function checkFields(schema, input, invalid) {
+  const values = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    const result = rule(input?.[field]);
+    if (result.errors) {
+      for (const [suffix, error] of Object.entries(result.errors)) {
+        invalid[`${field}${suffix}`] = error;
+      }
+    } else if (result.error) {
+      invalid[field] = result.error;
+    } else {
+      values[field] = result.value;
+    }
+  }
+  return values;
+}
+
+// Express middleware checking params, query and body against their schemas
+export function validate({ params, query, body }) {
+  return (req, res, next) => {
+    const invalid = {};
+    const valid = {};
+
+    if (params) valid.params = checkFields(params, req.params, invalid);
+    if (query) valid.query = checkFields(query, req.query, invalid);
+    if (body) {
+      if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        invalid.body = 'Must be a JSON object';
+      } else {
+        valid.body = checkFields(body, req.body, invalid);
+      }
+    }
+
+    if (Object.keys(invalid).length > 0) {
+      return next(new ApiError('VALIDATION_FAILED', 'Invalid request', { details: { invalid } }));
+    }
+    req.valid = valid;
+    next();
+  };
+}